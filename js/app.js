@@ -27,11 +27,19 @@ const tileProviders = {
     }
 };
 
+// Routing backends for snap-to-roads
+const ROUTING_DEFAULTS = {
+    osrm: { url: 'https://router.project-osrm.org', profile: 'driving' },
+    valhalla: { url: 'https://valhalla1.openstreetmap.de', profile: 'auto' },
+    offline: { url: '', profile: '' }
+};
+
 // Application State
 const state = {
     drawing: false,
     currentPath: [],
     currentGeoPath: [],
+    currentTimes: [],
     paths: [],
     map: null,
     tileLayer: null,
@@ -40,19 +48,65 @@ const state = {
     nextPathId: 1,
     colors: ['#00d4aa', '#ff6b6b', '#4ecdc4', '#ffe66d', '#95e1d3', '#f38181', '#aa96da', '#fcbad3'],
     drawMode: false,
+    drawTool: 'freehand', // 'freehand' or 'waypoint'
+    routeWaypoints: false,
+    waypoints: [],
+    waypointLegs: [], // { geoPath, promise } between consecutive waypoints
+    waypointCursor: null,
+    finishingWaypoints: false, // waiting on routed legs before saving
+    snapToRoads: false,
+    savingPath: false, // a finished stroke is being snapped and saved
+    snappingPathIds: new Set(), // paths with a snap request in flight
+    routing: { backend: 'osrm', ...ROUTING_DEFAULTS.osrm },
+    roadGraph: null,
+    editPathId: null,
+    editSelectedVertex: null,
+    editHandles: [],
     ribbonMeta: [],
+    ribbonView: null, // { scale, offset, contentWidth, viewportWidth } zoom/pan of the ribbon view
+    renderGeneration: 0,
     hoveredCrossingKey: null,
+    splitView: false, // ribbon view shows the map above the ribbons
+    brushMarkers: new Map(), // path id -> map marker mirroring the ribbon cursor
+    alignMode: 'space', // 'space' (x = distance) or 'time' (x = elapsed time)
+    ribbonRenderer: 'mesh', // 'mesh' (continuous warp) or 'strips' (fast fallback)
+    ribbonScaling: 'proportional', // 'proportional' (length to scale) or 'normalized' (full width)
+    alignMethod: 'shift', // 'shift' (one crossing), 'crossings' (all shared) or 'proximity' (DTW)
+    pendingAlignPoint: null, // first half of a user-picked alignment pair
+    corridorWidth: 250, // meters either side of each path shown in its ribbon
+    overlapTolerance: 25, // meters within which paths count as running together
+    ribbonTracks: [], // [{ key, style }] attribute tracks shown under each ribbon
+    annotations: [], // [{ id, lat, lng, text, icon }] notes pinned onto nearby ribbons
+    nextAnnotationId: 1,
+    annotationDistance: 50, // meters within which a path picks up an annotation
+    annotationMode: false, // map clicks place annotations
+    annotationMarkers: [],
+    pathGroups: [], // [{ name, collapsed }] named sets of paths in the path list
+    statsPathIds: null, // paths ticked in the stats panel (null = all visible)
+    statsResult: null, // last comparison shown, for CSV export
+    turnThreshold: 45, // degrees of heading change counted as a turn
     alignment: null // { crossingKey, anchorPathId }
 };
 
-// Tile cache for ribbon rendering
-const tileCache = new Map();
+// Tile cache for ribbon rendering: an LRU of decoded images keyed by
+// provider/z/x/y, backed by the Cache API so tiles survive reloads
+const TILE_CACHE_LIMIT = 2000;
+const TILE_STORE_NAME = 'time-ribbons-tiles';
+const TILE_STORE_LIMIT = 20000; // tiles kept offline; the oldest are evicted first
+const tileCache = new Map(); // iteration order = least recently used first
+const tileStats = { requests: 0, memoryHits: 0, storeHits: 0, network: 0, failures: 0 };
+let tileStorePromise = null;
+
+// Undo/redo stacks of path snapshots
+const undoHistory = { undo: [], redo: [] }; // not `history`, which would hide window.history
+const HISTORY_LIMIT = 50;
 
 // DOM Elements
 const elements = {};
 
 // Initialize DOM references
 function initElements() {
+    elements.app = document.getElementById('app');
     elements.mapContainer = document.getElementById('map-container');
     elements.ribbonContainer = document.getElementById('ribbon-container');
     elements.ribbonRows = document.getElementById('ribbon-rows');
@@ -65,6 +119,7 @@ function initElements() {
     elements.clearBtn = document.getElementById('clear-btn');
     elements.backBtn = document.getElementById('back-btn');
     elements.pathList = document.getElementById('path-list');
+    elements.groupAddBtn = document.getElementById('group-add-btn');
     elements.pathCount = document.getElementById('path-count');
     elements.pathEmpty = document.getElementById('path-empty');
     elements.ribbonEmpty = document.getElementById('ribbon-empty');
@@ -75,6 +130,88 @@ function initElements() {
     elements.cursorLabel = document.getElementById('cursor-label');
     elements.drawBtn = document.getElementById('draw-btn');
     elements.locateBtn = document.getElementById('locate-btn');
+    elements.alignModeInputs = document.querySelectorAll('input[name="align-mode"]');
+    elements.alignTimeInput = document.querySelector('input[name="align-mode"][value="time"]');
+    elements.rendererInputs = document.querySelectorAll('input[name="ribbon-renderer"]');
+    elements.scalingInputs = document.querySelectorAll('input[name="ribbon-scaling"]');
+    elements.alignMethodSelect = document.getElementById('align-method');
+    elements.ribbonConnectors = document.getElementById('ribbon-connectors');
+    elements.corridorInput = document.getElementById('corridor-input');
+    elements.overlapInput = document.getElementById('overlap-input');
+    elements.ribbonMinimap = document.getElementById('ribbon-minimap');
+    elements.ribbonMinimapCanvas = document.getElementById('ribbon-minimap-canvas');
+    elements.ribbonMinimapWindow = document.getElementById('ribbon-minimap-window');
+    elements.importBtn = document.getElementById('import-btn');
+    elements.importInput = document.getElementById('import-input');
+    elements.dropOverlay = document.getElementById('drop-overlay');
+    elements.exportBtn = document.getElementById('export-btn');
+    elements.exportMenu = document.getElementById('export-menu');
+    elements.exportCrossings = document.getElementById('export-crossings');
+    elements.sessionBtn = document.getElementById('session-btn');
+    elements.annotationBtn = document.getElementById('annotation-btn');
+    elements.statsBtn = document.getElementById('stats-btn');
+    elements.statsPanel = document.getElementById('stats-panel');
+    elements.statsPaths = document.getElementById('stats-paths');
+    elements.statsBody = document.getElementById('stats-body');
+    elements.statsTurnInput = document.getElementById('stats-turn-threshold');
+    elements.statsCsvBtn = document.getElementById('stats-csv-btn');
+    elements.statsCloseBtn = document.getElementById('stats-close-btn');
+    elements.annotationMenu = document.getElementById('annotation-menu');
+    elements.annotationIcon = document.getElementById('annotation-icon');
+    elements.annotationText = document.getElementById('annotation-text');
+    elements.annotationPlaceBtn = document.getElementById('annotation-place-btn');
+    elements.annotationDistanceInput = document.getElementById('annotation-distance');
+    elements.annotationList = document.getElementById('annotation-list');
+    elements.sessionMenu = document.getElementById('session-menu');
+    elements.sessionName = document.getElementById('session-name');
+    elements.sessionSaveBtn = document.getElementById('session-save-btn');
+    elements.sessionList = document.getElementById('session-list');
+    elements.shareBtn = document.getElementById('share-btn');
+    elements.ribbonShareBtn = document.getElementById('ribbon-share-btn');
+    elements.splitBtn = document.getElementById('split-btn');
+    elements.ribbonExportBtn = document.getElementById('ribbon-export-btn');
+    elements.ribbonExportMenu = document.getElementById('ribbon-export-menu');
+    elements.ribbonTracksBtn = document.getElementById('ribbon-tracks-btn');
+    elements.ribbonTracksMenu = document.getElementById('ribbon-tracks-menu');
+    elements.ribbonExportScale = document.getElementById('ribbon-export-scale');
+    elements.editToolbar = document.getElementById('edit-toolbar');
+    elements.editTitle = document.getElementById('edit-title');
+    elements.editHint = document.getElementById('edit-hint');
+    elements.editSplitBtn = document.getElementById('edit-split-btn');
+    elements.editJoinSelect = document.getElementById('edit-join-select');
+    elements.editUndoBtn = document.getElementById('edit-undo-btn');
+    elements.editDoneBtn = document.getElementById('edit-done-btn');
+    elements.undoBtn = document.getElementById('undo-btn');
+    elements.redoBtn = document.getElementById('redo-btn');
+    elements.snapBtn = document.getElementById('snap-btn');
+    elements.tileBtn = document.getElementById('tile-btn');
+    elements.tileMenu = document.getElementById('tile-menu');
+    elements.tileStats = document.getElementById('tile-stats');
+    elements.tilePrefetchBtn = document.getElementById('tile-prefetch-btn');
+    elements.tileClearBtn = document.getElementById('tile-clear-btn');
+    elements.tileSourceList = document.getElementById('tile-source-list');
+    elements.tileSourceName = document.getElementById('tile-source-name');
+    elements.tileSourceUrl = document.getElementById('tile-source-url');
+    elements.tileSourceSubdomains = document.getElementById('tile-source-subdomains');
+    elements.tileSourceMaxZoom = document.getElementById('tile-source-maxzoom');
+    elements.tileSourceAttribution = document.getElementById('tile-source-attribution');
+    elements.tileSourceAddBtn = document.getElementById('tile-source-add-btn');
+    elements.tileMbtilesInput = document.getElementById('tile-mbtiles-input');
+    elements.tileFolderInput = document.getElementById('tile-folder-input');
+    elements.routingBtn = document.getElementById('routing-btn');
+    elements.routingMenu = document.getElementById('routing-menu');
+    elements.routingBackend = document.getElementById('routing-backend');
+    elements.routingUrl = document.getElementById('routing-url');
+    elements.routingProfile = document.getElementById('routing-profile');
+    elements.routingHttpFields = document.getElementById('routing-http-fields');
+    elements.routingOfflineFields = document.getElementById('routing-offline-fields');
+    elements.routingNetworkInput = document.getElementById('routing-network-input');
+    elements.routingNetworkInfo = document.getElementById('routing-network-info');
+    elements.instructionsTitle = elements.instructions.querySelector('h2');
+    elements.instructionsText = elements.instructions.querySelector('p');
+    elements.drawTools = document.getElementById('draw-tools');
+    elements.drawToolInputs = document.querySelectorAll('input[name="draw-tool"]');
+    elements.routeWaypointsInput = document.getElementById('route-waypoints');
 }
 
 // Initialize Leaflet map
@@ -86,11 +223,9 @@ function initMap() {
 
     L.control.zoom({ position: 'bottomright' }).addTo(state.map);
 
-    const provider = tileProviders[state.tileProvider];
-    state.tileLayer = L.tileLayer(provider.url, {
-        maxZoom: 19,
-        subdomains: 'abcd'
-    }).addTo(state.map);
+    L.control.attribution({ position: 'bottomleft', prefix: false }).addTo(state.map);
+
+    state.tileLayer = createTileLayer(tileProviders[state.tileProvider]).addTo(state.map);
 
     // Draw canvas starts non-interactive so the map can be navigated
     elements.drawCanvas.style.pointerEvents = 'none';
@@ -98,11 +233,36 @@ function initMap() {
 
 // Toggle draw mode
 function setDrawMode(active) {
+    if (active) {
+        stopEditing();
+        if (state.annotationMode) setAnnotationMode(false);
+    }
     state.drawMode = active;
-    elements.drawCanvas.style.pointerEvents = active ? 'auto' : 'none';
+    const waypointTool = state.drawTool === 'waypoint';
+    // Waypoints are placed through map clicks so the map stays pannable
+    elements.drawCanvas.style.pointerEvents = active && !waypointTool ? 'auto' : 'none';
     elements.drawBtn.classList.toggle('active', active);
+    elements.drawTools.classList.toggle('visible', active);
     elements.instructions.classList.toggle('hidden', !active);
+    elements.instructionsTitle.textContent = waypointTool ? 'Place waypoints' : 'Draw your route';
+    elements.instructionsText.textContent = waypointTool
+        ? 'Click to add points · Backspace removes · Enter or double-click finishes'
+        : 'Touch and drag to trace a path on the map';
     elements.status.textContent = active ? 'Draw a path' : 'Navigate map';
+
+    if (active && waypointTool) {
+        state.map.doubleClickZoom.disable();
+    } else {
+        state.map.doubleClickZoom.enable();
+        cancelWaypoints();
+    }
+}
+
+// Switch between freehand and waypoint drawing
+function setDrawTool(tool) {
+    cancelWaypoints();
+    state.drawTool = tool;
+    if (state.drawMode) setDrawMode(true);
 }
 
 // Locate user on map
@@ -116,13 +276,301 @@ function changeTileProvider(providerKey) {
     state.tileProvider = providerKey;
 
     if (state.tileLayer) state.map.removeLayer(state.tileLayer);
-    const provider = tileProviders[providerKey];
-    state.tileLayer = L.tileLayer(provider.url, {
+    state.tileLayer = createTileLayer(tileProviders[providerKey]).addTo(state.map);
+    elements.tileSelect.value = providerKey;
+
+    cancelStaleTileRequests(Infinity);
+    scheduleAutosave();
+}
+
+// Leaflet layer for a provider. Local sources have no URL, so their
+// tiles are read as blobs and shown through object URLs.
+function createTileLayer(provider) {
+    const options = {
         maxZoom: 19,
-        subdomains: 'abcd'
-    }).addTo(state.map);
+        maxNativeZoom: provider.maxZoom || 19,
+        subdomains: provider.subdomains || 'abcd',
+        attribution: provider.attribution || ''
+    };
+    if (!provider.loadTileBlob) return L.tileLayer(provider.url, options);
 
-    tileCache.clear();
+    const layer = L.gridLayer(options);
+    layer.createTile = (coords, done) => {
+        const img = document.createElement('img');
+        provider.loadTileBlob(coords.x, coords.y, coords.z).then(blob => {
+            if (!blob) {
+                done(null, img);
+                return;
+            }
+            const objectUrl = URL.createObjectURL(blob);
+            img.onload = img.onerror = () => {
+                URL.revokeObjectURL(objectUrl);
+                done(null, img);
+            };
+            img.src = objectUrl;
+        }).catch(err => done(err, img)); // e.g. the source was removed while loading
+        return img;
+    };
+    return layer;
+}
+
+// Custom tile sources
+const PROVIDER_STORE = 'providers';
+const SQLJS_BASE_URL = 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.10.3/';
+const SQLJS_INTEGRITY = {
+    'sql-wasm.js': 'sha384-8D3Rsfo535FqoC1pHCCQMrNf75UgzyoG/HQm9zOzITRrz3QKzecc2E7JXKGCXoWu',
+    'sql-wasm.wasm': 'sha384-kSm0AH9ho89napVfNFf/kCRTH6xBoCS3qf/ATGJeYFQFKiegBMLhQ3aUIZBlYLpa'
+};
+const LOCAL_TILE_PATTERN = /(\d+)\/(\d+)\/(\d+)\.(png|jpe?g|webp)$/i;
+let sqlJsPromise = null;
+
+// Fill an XYZ template: {s} subdomain, {z}/{x}/{y}, {-y} for TMS rows,
+// {r} retina suffix (always empty here)
+function xyzTileUrl(template, subdomains, x, y, z) {
+    const sub = subdomains ? subdomains[Math.abs(x + y) % subdomains.length] : '';
+    return template
+        .replace('{s}', sub)
+        .replace('{z}', z)
+        .replace('{x}', x)
+        .replace('{-y}', Math.pow(2, z) - 1 - y)
+        .replace('{y}', y)
+        .replace('{r}', '');
+}
+
+function loadScript(src, integrity = null) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        if (integrity) {
+            script.integrity = integrity;
+            script.crossOrigin = 'anonymous';
+        }
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Could not load ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+// sql.js is only needed for MBTiles, so it is fetched on first use. The
+// WebAssembly is fetched here rather than by sql.js so that it is checked
+// against its hash like the script.
+function loadSqlJs() {
+    if (!sqlJsPromise) {
+        sqlJsPromise = loadScript(SQLJS_BASE_URL + 'sql-wasm.js', SQLJS_INTEGRITY['sql-wasm.js'])
+            .then(() => fetch(SQLJS_BASE_URL + 'sql-wasm.wasm', { integrity: SQLJS_INTEGRITY['sql-wasm.wasm'] }))
+            .then(response => {
+                if (!response.ok) throw new Error(`Could not load sql-wasm.wasm (HTTP ${response.status})`);
+                return response.arrayBuffer();
+            })
+            .then(wasmBinary => initSqlJs({ wasmBinary }))
+            .catch(err => {
+                sqlJsPromise = null;
+                throw err;
+            });
+    }
+    return sqlJsPromise;
+}
+
+// Build a runtime provider from a persisted definition:
+// { kind: 'xyz', name, template, subdomains, attribution, maxZoom }
+// { kind: 'mbtiles', name, file }
+// { kind: 'folder', name, files: [{ path, blob }] }
+async function buildTileProvider(def) {
+    if (def.kind === 'xyz') {
+        const subdomains = def.subdomains || (def.template.includes('{s}') ? 'abc' : '');
+        return {
+            name: def.name,
+            url: def.template,
+            subdomains,
+            attribution: def.attribution,
+            maxZoom: def.maxZoom,
+            ribbonTileUrl: (x, y, z) => xyzTileUrl(def.template, subdomains, x, y, z)
+        };
+    }
+
+    if (def.kind === 'mbtiles') {
+        const SQL = await loadSqlJs();
+        const db = new SQL.Database(new Uint8Array(await def.file.arrayBuffer()));
+        const metadata = {};
+        const rows = db.exec('SELECT name, value FROM metadata');
+        for (const [name, value] of rows.length ? rows[0].values : []) metadata[name] = value;
+
+        const format = metadata.format || 'png';
+        if (format === 'pbf') {
+            db.close();
+            throw new Error('Vector MBTiles are not supported');
+        }
+        const mime = format === 'jpg' ? 'image/jpeg' : `image/${format}`;
+        const query = db.prepare('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?');
+        return {
+            name: def.name || metadata.name,
+            attribution: metadata.attribution,
+            maxZoom: metadata.maxzoom ? Number(metadata.maxzoom) : undefined,
+            db,
+            // MBTiles rows are numbered bottom-up (TMS)
+            loadTileBlob: async (x, y, z) => {
+                query.bind([z, x, Math.pow(2, z) - 1 - y]);
+                const data = query.step() ? query.get()[0] : null;
+                query.reset();
+                return data ? new Blob([data], { type: mime }) : null;
+            }
+        };
+    }
+
+    if (def.kind === 'folder') {
+        const tiles = new Map();
+        let maxZoom = 0;
+        for (const { path, blob } of def.files) {
+            const match = path.match(LOCAL_TILE_PATTERN);
+            if (!match) continue;
+            const [, z, x, y] = match.map(Number);
+            tiles.set(`${z}/${x}/${y}`, blob);
+            maxZoom = Math.max(maxZoom, z);
+        }
+        if (tiles.size === 0) throw new Error('No z/x/y tile images found in folder');
+        return {
+            name: def.name,
+            maxZoom,
+            loadTileBlob: async (x, y, z) => tiles.get(`${z}/${x}/${y}`) || null
+        };
+    }
+
+    throw new Error(`Unknown tile source type: ${def.kind}`);
+}
+
+// Add a tile source and make it selectable. Returns the provider key.
+async function registerTileProvider(def, persist = true) {
+    const key = def.key || `custom-${Date.now().toString(36)}`;
+    const provider = await buildTileProvider(def);
+    tileProviders[key] = { ...provider, custom: true, kind: def.kind };
+
+    if (persist) await dbPut(PROVIDER_STORE, key, { ...def, key });
+
+    let option = elements.tileSelect.querySelector(`option[value="${key}"]`);
+    if (!option) {
+        option = document.createElement('option');
+        option.value = key;
+        elements.tileSelect.appendChild(option);
+    }
+    option.textContent = tileProviders[key].name;
+    updateTileSourceList();
+    return key;
+}
+
+async function removeTileProvider(key) {
+    const provider = tileProviders[key];
+    if (!provider || !provider.custom) return;
+    if (state.tileProvider === key) changeTileProvider('voyager');
+
+    delete tileProviders[key];
+    if (provider.db) provider.db.close();
+    for (const cacheKey of [...tileCache.keys()]) {
+        if (cacheKey.startsWith(`${key}/`)) tileCache.delete(cacheKey);
+    }
+    const option = elements.tileSelect.querySelector(`option[value="${key}"]`);
+    if (option) option.remove();
+
+    try {
+        await dbDelete(PROVIDER_STORE, key);
+    } catch (err) {
+        elements.status.textContent = `Could not delete tile source: ${err.message}`;
+    }
+    updateTileSourceList();
+}
+
+// Re-register persisted sources; must run before the workspace restores
+// so a saved custom tileProvider can be selected
+async function loadTileProviders() {
+    let defs = [];
+    try {
+        defs = await dbGetAll(PROVIDER_STORE);
+    } catch (err) {
+        elements.status.textContent = `Could not read tile sources: ${err.message}`;
+    }
+    const failed = [];
+    for (const def of defs) {
+        try {
+            await registerTileProvider(def, false);
+        } catch (err) {
+            failed.push(def.name);
+        }
+    }
+    if (failed.length > 0) {
+        elements.status.textContent = `Could not load tile source${failed.length > 1 ? 's' : ''}: ${failed.join(', ')}`;
+    }
+    updateTileSourceList();
+}
+
+async function addTileSource(def) {
+    try {
+        const key = await registerTileProvider(def);
+        changeTileProvider(key);
+        elements.status.textContent = `Added tile source "${tileProviders[key].name}"`;
+        return true;
+    } catch (err) {
+        elements.status.textContent = `Could not add tile source: ${err.message}`;
+        return false;
+    }
+}
+
+async function addXyzSource() {
+    const template = elements.tileSourceUrl.value.trim();
+    if (!/\{z\}/.test(template) || !/\{x\}/.test(template) || !/\{-?y\}/.test(template)) {
+        elements.status.textContent = 'Tile URL needs {z}, {x} and {y} placeholders';
+        return;
+    }
+    let name = elements.tileSourceName.value.trim();
+    if (!name) {
+        try {
+            name = new URL(template.replace('{s}.', '')).hostname;
+        } catch (err) {
+            name = 'Custom tiles';
+        }
+    }
+    const maxZoom = parseInt(elements.tileSourceMaxZoom.value, 10);
+    const added = await addTileSource({
+        kind: 'xyz',
+        name,
+        template,
+        subdomains: elements.tileSourceSubdomains.value.trim(),
+        attribution: elements.tileSourceAttribution.value.trim(),
+        maxZoom: Number.isFinite(maxZoom) ? maxZoom : undefined
+    });
+    if (added) {
+        for (const input of [elements.tileSourceName, elements.tileSourceUrl, elements.tileSourceSubdomains,
+            elements.tileSourceAttribution, elements.tileSourceMaxZoom]) {
+            input.value = '';
+        }
+    }
+}
+
+function updateTileSourceList() {
+    const keys = Object.keys(tileProviders).filter(key => tileProviders[key].custom);
+    elements.tileSourceList.innerHTML = '';
+    if (keys.length === 0) {
+        elements.tileSourceList.innerHTML = '<div class="session-empty">No custom tile sources</div>';
+        return;
+    }
+
+    const kindLabels = { xyz: 'XYZ', mbtiles: 'MBTiles', folder: 'Folder' };
+    for (const key of keys) {
+        const provider = tileProviders[key];
+        const item = document.createElement('div');
+        item.className = 'session-item';
+        item.innerHTML = `
+            <div class="session-info">
+                <div class="session-name">${escapeXml(provider.name)}</div>
+                <div class="path-meta">${kindLabels[provider.kind]}${provider.maxZoom ? ` · max z${provider.maxZoom}` : ''}</div>
+            </div>
+            <button class="path-delete" title="Remove tile source">✕</button>
+        `;
+        item.querySelector('.path-delete').addEventListener('click', (e) => {
+            e.stopPropagation();
+            removeTileProvider(key);
+        });
+        item.addEventListener('click', () => changeTileProvider(key));
+        elements.tileSourceList.appendChild(item);
+    }
 }
 
 // Canvas setup
@@ -161,14 +609,42 @@ function haversine(lat1, lng1, lat2, lng2) {
     return R * c;
 }
 
-// Compute cumulative distances array for a geoPath
+// Cheap fingerprint of a coordinate list (and optional timestamps), so
+// caches notice in-place edits without every edit having to report them
+function geometryFingerprint(geoPath, times = null) {
+    let h = 0x811c9dc5;
+    for (const [lat, lng] of geoPath) {
+        h = Math.imul(h ^ Math.round(lat * 1e7), 0x01000193);
+        h = Math.imul(h ^ Math.round(lng * 1e7), 0x01000193);
+    }
+    if (times) {
+        for (const t of times) h = Math.imul(h ^ t, 0x01000193);
+    }
+    return `${geoPath.length}:${times ? times.length : 0}:${h >>> 0}`;
+}
+
+// Fingerprint of everything crossing and overlap results depend on
+function pathFingerprint(path) {
+    return geometryFingerprint(path.geoPath, hasTimes(path) ? path.times : null);
+}
+
+// Cumulative distances are cached per coordinate array and recomputed
+// only when its fingerprint shows the geometry changed. Callers must not
+// modify the returned array.
+const distanceCache = new WeakMap();
+
 function computeCumulativeDistances(geoPath) {
+    const fingerprint = geometryFingerprint(geoPath);
+    const cached = distanceCache.get(geoPath);
+    if (cached && cached.fingerprint === fingerprint) return cached.distances;
+
     const distances = [0];
     for (let i = 1; i < geoPath.length; i++) {
         const [lat1, lng1] = geoPath[i - 1];
         const [lat2, lng2] = geoPath[i];
         distances.push(distances[i - 1] + haversine(lat1, lng1, lat2, lng2));
     }
+    distanceCache.set(geoPath, { fingerprint, distances });
     return distances;
 }
 
@@ -178,6 +654,59 @@ function calculateDistanceForPath(geoPath) {
     return distances[distances.length - 1];
 }
 
+// Whether a path carries one timestamp (ms) per point
+function hasTimes(path) {
+    return Array.isArray(path.times) && path.times.length === path.geoPath.length && path.times.length > 0;
+}
+
+// Elapsed time from first to last point in ms (0 without timestamps)
+function pathDuration(path) {
+    if (!hasTimes(path)) return 0;
+    return path.times[path.times.length - 1] - path.times[0];
+}
+
+// Cumulative positions along the active ribbon axis (meters or elapsed ms)
+function computeAxisPositions(path) {
+    if (state.alignMode === 'time') {
+        const t0 = path.times[0];
+        return path.times.map(t => t - t0);
+    }
+    return computeCumulativeDistances(path.geoPath);
+}
+
+// Length of a path along the active ribbon axis
+function axisExtent(path) {
+    return state.alignMode === 'time' ? pathDuration(path) : path.distance;
+}
+
+// Crossing position along the active ribbon axis, as a 0..1 fraction
+function axisFraction(crossing) {
+    return state.alignMode === 'time' ? crossing.timeFraction : crossing.distFraction;
+}
+
+// Format meters as "850 m" / "1.2 km"
+function formatDistance(meters, digits = 1) {
+    return meters >= 1000
+        ? (meters / 1000).toFixed(digits) + ' km'
+        : Math.round(meters) + ' m';
+}
+
+// Format milliseconds as "45s", "12:05" or "1:02:05"
+function formatDuration(ms) {
+    const total = Math.round(ms / 1000);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    if (h > 0) return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+    if (m > 0) return `${m}:${String(s).padStart(2, '0')}`;
+    return `${s}s`;
+}
+
+// Format a value on the active ribbon axis
+function formatAxisValue(value, digits = 1) {
+    return state.alignMode === 'time' ? formatDuration(value) : formatDistance(value, digits);
+}
+
 // Segment-segment intersection in 2D (flat-earth, fine at city scale)
 function segmentIntersection(p1, p2, p3, p4) {
     const [lat1, lng1] = p1;
@@ -203,7 +732,117 @@ function segmentIntersection(p1, p2, p3, p4) {
     };
 }
 
-// Find all crossing points between two paths
+// Uniform grid over a path's segments for bounding-box prefiltering.
+// Cells are about two typical segments wide, with at most
+// SEGMENT_GRID_MAX cells across the path. A segment is only entered in
+// the cells its line passes through, so a long diagonal (such as a GPS
+// gap) costs rows plus columns rather than its whole bounding box.
+const SEGMENT_GRID_MAX = 4096;
+
+function buildSegmentIndex(geoPath) {
+    const count = geoPath.length - 1;
+    let minLat = Infinity, minLng = Infinity, maxLat = -Infinity, maxLng = -Infinity;
+    let extentSum = 0;
+    for (let i = 0; i < count; i++) {
+        const [lat1, lng1] = geoPath[i], [lat2, lng2] = geoPath[i + 1];
+        extentSum += Math.max(Math.abs(lat2 - lat1), Math.abs(lng2 - lng1));
+    }
+    for (const [lat, lng] of geoPath) {
+        minLat = Math.min(minLat, lat);
+        minLng = Math.min(minLng, lng);
+        maxLat = Math.max(maxLat, lat);
+        maxLng = Math.max(maxLng, lng);
+    }
+    const span = Math.max(maxLat - minLat, maxLng - minLng);
+    const cellSize = Math.max((extentSum / Math.max(1, count)) * 2, span / SEGMENT_GRID_MAX, 1e-9);
+
+    const index = {
+        cellSize, minLat, minLng,
+        rows: Math.floor((maxLat - minLat) / cellSize),
+        cols: Math.floor((maxLng - minLng) / cellSize),
+        cells: new Map(),
+        seen: new Uint32Array(Math.max(0, count)),
+        query: 0
+    };
+    for (let i = 0; i < count; i++) {
+        const [lat1, lng1] = geoPath[i], [lat2, lng2] = geoPath[i + 1];
+        const r0 = Math.floor((Math.min(lat1, lat2) - minLat) / cellSize);
+        const r1 = Math.floor((Math.max(lat1, lat2) - minLat) / cellSize);
+        for (let r = r0; r <= r1; r++) {
+            // Stretch of the segment inside this row's latitude band
+            let t0 = 0, t1 = 1;
+            if (lat1 !== lat2) {
+                const ta = (minLat + r * cellSize - lat1) / (lat2 - lat1);
+                const tb = (minLat + (r + 1) * cellSize - lat1) / (lat2 - lat1);
+                t0 = Math.max(0, Math.min(ta, tb));
+                t1 = Math.min(1, Math.max(ta, tb));
+            }
+            const lngA = lng1 + t0 * (lng2 - lng1), lngB = lng1 + t1 * (lng2 - lng1);
+            const c0 = Math.floor((Math.min(lngA, lngB) - minLng) / cellSize);
+            const c1 = Math.floor((Math.max(lngA, lngB) - minLng) / cellSize);
+            for (let c = c0; c <= c1; c++) {
+                const key = r * (SEGMENT_GRID_MAX * 2) + c;
+                const cell = index.cells.get(key);
+                if (cell) cell.push(i);
+                else index.cells.set(key, [i]);
+            }
+        }
+    }
+    return index;
+}
+
+// Segment indexes are cached per coordinate array like the distances,
+// so a path is indexed once however many pairs it takes part in
+const segmentIndexCache = new WeakMap();
+
+function cachedSegmentIndex(geoPath) {
+    const fingerprint = geometryFingerprint(geoPath);
+    const cached = segmentIndexCache.get(geoPath);
+    if (cached && cached.fingerprint === fingerprint) return cached.index;
+
+    const index = buildSegmentIndex(geoPath);
+    segmentIndexCache.set(geoPath, { fingerprint, index });
+    return index;
+}
+
+// Indices of segments whose cells touch a bounding box, ascending and
+// without duplicates
+function querySegmentIndex(index, minLat, minLng, maxLat, maxLng) {
+    const { cellSize, cells, seen } = index;
+    const r0 = Math.max(0, Math.floor((minLat - index.minLat) / cellSize));
+    const r1 = Math.min(index.rows, Math.floor((maxLat - index.minLat) / cellSize));
+    const c0 = Math.max(0, Math.floor((minLng - index.minLng) / cellSize));
+    const c1 = Math.min(index.cols, Math.floor((maxLng - index.minLng) / cellSize));
+    if (r1 < r0 || c1 < c0) return [];
+
+    const stamp = ++index.query;
+    const found = [];
+    const visit = list => {
+        for (const i of list) {
+            if (seen[i] === stamp) continue;
+            seen[i] = stamp;
+            found.push(i);
+        }
+    };
+    // A box wider than the occupied cells is cheaper to answer by scanning them
+    if ((r1 - r0 + 1) * (c1 - c0 + 1) > cells.size) {
+        for (const [key, list] of cells) {
+            const r = Math.floor(key / (SEGMENT_GRID_MAX * 2)), c = key % (SEGMENT_GRID_MAX * 2);
+            if (r >= r0 && r <= r1 && c >= c0 && c <= c1) visit(list);
+        }
+    } else {
+        for (let r = r0; r <= r1; r++) {
+            for (let c = c0; c <= c1; c++) {
+                const list = cells.get(r * (SEGMENT_GRID_MAX * 2) + c);
+                if (list) visit(list);
+            }
+        }
+    }
+    return found.sort((a, b) => a - b);
+}
+
+// Find all crossing points between two paths. Only segment pairs whose
+// bounding boxes share a grid cell are tested.
 function findPathCrossings(pathA, pathB) {
     const isSelf = pathA === pathB;
     const crossings = [];
@@ -211,10 +850,20 @@ function findPathCrossings(pathA, pathB) {
     const distB = isSelf ? distA : computeCumulativeDistances(pathB.geoPath);
     const totalA = distA[distA.length - 1];
     const totalB = distB[distB.length - 1];
+    const timesA = hasTimes(pathA) ? pathA.times : null;
+    const timesB = hasTimes(pathB) ? pathB.times : null;
+    const durA = pathDuration(pathA);
+    const durB = pathDuration(pathB);
+
+    const index = cachedSegmentIndex(pathB.geoPath);
 
     for (let i = 0; i < pathA.geoPath.length - 1; i++) {
         const jStart = isSelf ? i + 2 : 0; // skip adjacent segments for self-crossing
-        for (let j = jStart; j < pathB.geoPath.length - 1; j++) {
+        const [lat1, lng1] = pathA.geoPath[i], [lat2, lng2] = pathA.geoPath[i + 1];
+        const candidates = querySegmentIndex(index,
+            Math.min(lat1, lat2), Math.min(lng1, lng2), Math.max(lat1, lat2), Math.max(lng1, lng2));
+        for (const j of candidates) {
+            if (j < jStart) continue;
             const result = segmentIntersection(
                 pathA.geoPath[i], pathA.geoPath[i + 1],
                 pathB.geoPath[j], pathB.geoPath[j + 1]
@@ -222,34 +871,86 @@ function findPathCrossings(pathA, pathB) {
             if (result) {
                 const crossDistA = distA[i] + result.t * (distA[i + 1] - distA[i]);
                 const crossDistB = distB[j] + result.u * (distB[j + 1] - distB[j]);
-                crossings.push({
+                const crossing = {
                     lat: result.lat, lng: result.lng,
                     distFractionA: totalA > 0 ? crossDistA / totalA : 0,
-                    distFractionB: totalB > 0 ? crossDistB / totalB : 0
-                });
+                    distFractionB: totalB > 0 ? crossDistB / totalB : 0,
+                    timeFractionA: null,
+                    timeFractionB: null
+                };
+                if (timesA) {
+                    const tA = timesA[i] + result.t * (timesA[i + 1] - timesA[i]) - timesA[0];
+                    crossing.timeFractionA = durA > 0 ? tA / durA : 0;
+                }
+                if (timesB) {
+                    const tB = timesB[j] + result.u * (timesB[j + 1] - timesB[j]) - timesB[0];
+                    crossing.timeFractionB = durB > 0 ? tB / durB : 0;
+                }
+                crossings.push(crossing);
             }
         }
     }
     return crossings;
 }
 
+// Stable identifier for a crossing location
+function crossingKey(c) {
+    return `${c.lat.toFixed(8)},${c.lng.toFixed(8)}`;
+}
+
+// Results for path pairs keyed by the fingerprints of both geometries,
+// so changing one path only recomputes the pairs it is part of. The
+// limit grows with the number of paths (see precomputePairs).
+const PAIR_CACHE_LIMIT = 1000;
+const pairCache = new Map();
+let pairCacheLimit = PAIR_CACHE_LIMIT;
+
+function cachedPair(key, compute) {
+    if (pairCache.has(key)) {
+        const value = pairCache.get(key);
+        pairCache.delete(key); // keep recently used entries last
+        pairCache.set(key, value);
+        return value;
+    }
+    const value = compute();
+    pairCache.set(key, value);
+    if (pairCache.size > pairCacheLimit) pairCache.delete(pairCache.keys().next().value);
+    return value;
+}
+
+// Cache keys: self-crossings, crossings and overlaps of a pair
+function selfCrossingKey(print) {
+    return `s|${print}`;
+}
+
+function crossingPairKey(printA, printB) {
+    return `x|${printA}|${printB}`;
+}
+
+function overlapPairKey(printA, printB, tolerance) {
+    return `o|${tolerance}|${printA}|${printB}`;
+}
+
 // Compute crossings for all path pairs (including self-crossings)
 function computeAllCrossings(paths) {
     const crossingsByPath = {};
     paths.forEach(p => { crossingsByPath[p.id] = []; });
+    const prints = paths.map(pathFingerprint);
 
     for (let a = 0; a < paths.length; a++) {
         // Self-crossings
-        const selfCrossings = findPathCrossings(paths[a], paths[a]);
+        const selfCrossings = cachedPair(selfCrossingKey(prints[a]), () => findPathCrossings(paths[a], paths[a]));
         for (const c of selfCrossings) {
             crossingsByPath[paths[a].id].push({
                 distFraction: c.distFractionA,
+                timeFraction: c.timeFractionA,
                 otherColor: paths[a].color,
                 otherPathId: paths[a].id,
                 lat: c.lat, lng: c.lng
             });
             crossingsByPath[paths[a].id].push({
                 distFraction: c.distFractionB,
+                timeFraction: c.timeFractionB,
                 otherColor: paths[a].color,
                 otherPathId: paths[a].id,
                 lat: c.lat, lng: c.lng
@@ -258,16 +959,19 @@ function computeAllCrossings(paths) {
 
         // Inter-path crossings
         for (let b = a + 1; b < paths.length; b++) {
-            const crossings = findPathCrossings(paths[a], paths[b]);
+            const crossings = cachedPair(crossingPairKey(prints[a], prints[b]),
+                () => findPathCrossings(paths[a], paths[b]));
             for (const c of crossings) {
                 crossingsByPath[paths[a].id].push({
                     distFraction: c.distFractionA,
+                    timeFraction: c.timeFractionA,
                     otherColor: paths[b].color,
                     otherPathId: paths[b].id,
                     lat: c.lat, lng: c.lng
                 });
                 crossingsByPath[paths[b].id].push({
                     distFraction: c.distFractionB,
+                    timeFraction: c.timeFractionB,
                     otherColor: paths[a].color,
                     otherPathId: paths[a].id,
                     lat: c.lat, lng: c.lng
@@ -278,16 +982,132 @@ function computeAllCrossings(paths) {
     return crossingsByPath;
 }
 
+// Heavy pair computations run in a worker assembled from this file's own
+// geometry functions, keeping the tab responsive with long tracks. Where
+// workers are unavailable (or fail) the pairs are computed on the main
+// thread when first needed.
+let geometryWorker = null; // null = not started yet, false = unavailable
+let geometryJobId = 0;
+const geometryJobs = new Map(); // job id -> { resolve, reject }
+
+function geometryWorkerSource() {
+    const functions = [
+        haversine, geometryFingerprint, computeCumulativeDistances, hasTimes, pathDuration,
+        segmentIntersection, buildSegmentIndex, cachedSegmentIndex, querySegmentIndex, findPathCrossings,
+        localProjection, findPathOverlaps
+    ];
+    return [
+        'const distanceCache = new WeakMap();',
+        'const segmentIndexCache = new WeakMap();',
+        `const SEGMENT_GRID_MAX = ${SEGMENT_GRID_MAX};`,
+        `const OVERLAP_MIN_LENGTH = ${OVERLAP_MIN_LENGTH};`,
+        ...functions.map(String),
+        `(${geometryWorkerMain})();`
+    ].join('\n');
+}
+
+// Entry point inside the worker
+function geometryWorkerMain() {
+    self.onmessage = (e) => {
+        const { id, jobs } = e.data;
+        const results = jobs.map(job => {
+            if (job.kind === 'self') return findPathCrossings(job.a, job.a);
+            if (job.kind === 'crossings') return findPathCrossings(job.a, job.b);
+            return findPathOverlaps(job.a, job.b, job.tolerance);
+        });
+        self.postMessage({ id, results });
+    };
+}
+
+function startGeometryWorker() {
+    if (geometryWorker !== null) return geometryWorker;
+    try {
+        const url = URL.createObjectURL(new Blob([geometryWorkerSource()], { type: 'text/javascript' }));
+        geometryWorker = new Worker(url);
+        geometryWorker.onmessage = (e) => {
+            const job = geometryJobs.get(e.data.id);
+            geometryJobs.delete(e.data.id);
+            if (job) job.resolve(e.data.results);
+        };
+        // A failed worker is dropped; pending and later pairs are computed
+        // on the main thread
+        geometryWorker.onerror = () => {
+            geometryWorker.terminate();
+            geometryWorker = false;
+            geometryJobs.forEach(job => job.reject(new Error('geometry worker failed')));
+            geometryJobs.clear();
+        };
+    } catch (err) {
+        geometryWorker = false;
+    }
+    return geometryWorker;
+}
+
+// Compute every uncached crossing and overlap pair in the worker
+async function precomputePairs(paths, tolerance) {
+    // n paths need n^2 entries (self-crossings, crossings, overlaps); keep
+    // room for twice that so results survive until the analysis reads them,
+    // alongside those of the geometry before the latest edit
+    pairCacheLimit = Math.max(PAIR_CACHE_LIMIT, 2 * paths.length * paths.length);
+    const prints = paths.map(pathFingerprint);
+    const geometry = path => ({ geoPath: path.geoPath, times: path.times });
+    const jobs = [], keys = [];
+    const queue = (key, job) => {
+        if (pairCache.has(key) || keys.includes(key)) return;
+        keys.push(key);
+        jobs.push(job);
+    };
+    for (let a = 0; a < paths.length; a++) {
+        queue(selfCrossingKey(prints[a]), { kind: 'self', a: geometry(paths[a]) });
+        for (let b = a + 1; b < paths.length; b++) {
+            queue(crossingPairKey(prints[a], prints[b]),
+                { kind: 'crossings', a: geometry(paths[a]), b: geometry(paths[b]) });
+            queue(overlapPairKey(prints[a], prints[b], tolerance),
+                { kind: 'overlaps', a: geometry(paths[a]), b: geometry(paths[b]), tolerance });
+        }
+    }
+    if (jobs.length === 0) return;
+
+    const worker = startGeometryWorker();
+    if (!worker) return;
+    try {
+        const results = await new Promise((resolve, reject) => {
+            const id = ++geometryJobId;
+            geometryJobs.set(id, { resolve, reject });
+            worker.postMessage({ id, jobs });
+        });
+        results.forEach((value, i) => cachedPair(keys[i], () => value));
+    } catch (err) {
+        // Left for the main thread
+    }
+}
+
+// Crossings and shared stretches for a set of paths, with the expensive
+// pairs computed off the main thread
+async function analyzePaths(paths) {
+    await precomputePairs(paths, state.overlapTolerance);
+    return {
+        crossingsByPath: computeAllCrossings(paths),
+        overlapsByPath: computeAllOverlaps(paths, state.overlapTolerance)
+    };
+}
+
 // Drawing handlers
 function startDrawing(e) {
     e.preventDefault();
+    if (state.savingPath) {
+        elements.status.textContent = 'Still saving the previous path…';
+        return;
+    }
     state.drawing = true;
     state.currentPath = [];
     state.currentGeoPath = [];
+    state.currentTimes = [];
     
     const pos = getPosition(e);
     state.currentPath.push(pos);
     state.currentGeoPath.push(screenToGeo(pos.x, pos.y));
+    state.currentTimes.push(Date.now());
     
     elements.instructions.classList.add('hidden');
     elements.pathStats.classList.add('visible');
@@ -306,27 +1126,30 @@ function draw(e) {
     if (dist > 5) {
         state.currentPath.push(pos);
         state.currentGeoPath.push(screenToGeo(pos.x, pos.y));
+        state.currentTimes.push(Date.now());
         drawCurrentPath();
         updateStats();
     }
 }
 
-function stopDrawing(e) {
+async function stopDrawing(e) {
     if (!state.drawing) return;
     e.preventDefault();
     state.drawing = false;
     state.map.dragging.enable();
     
-    if (state.currentGeoPath.length > 5) {
-        savePath();
-    } else {
-        elements.status.textContent = 'Draw a longer path';
-    }
+    const raw = state.currentGeoPath.length > 5
+        ? { geoPath: [...state.currentGeoPath], times: [...state.currentTimes], attributes: {} }
+        : null;
+    if (!raw) elements.status.textContent = 'Draw a longer path';
     
     elements.ctx.clearRect(0, 0, elements.drawCanvas.width, elements.drawCanvas.height);
     state.currentPath = [];
     state.currentGeoPath = [];
+    state.currentTimes = [];
     elements.pathStats.classList.remove('visible');
+    
+    if (raw) await savePath(raw);
 }
 
 // Draw current path on canvas
@@ -354,60 +1177,299 @@ function drawCurrentPath() {
     elements.ctx.stroke();
 }
 
-// Save current path
-function savePath() {
+// Waypoint drawing: clicks add vertices joined by straight or routed legs
+const WAYPOINT_MIN_PIXELS = 5;
+
+function handleWaypointClick(e) {
+    if (!state.drawMode || state.drawTool !== 'waypoint' || state.finishingWaypoints) return;
+    const point = [e.latlng.lat, e.latlng.lng];
+
+    // The two clicks preceding a dblclick land on the same spot; ignore repeats
+    const last = state.waypoints[state.waypoints.length - 1];
+    if (last) {
+        const a = state.map.latLngToContainerPoint(last);
+        const b = state.map.latLngToContainerPoint(point);
+        if (Math.hypot(a.x - b.x, a.y - b.y) < WAYPOINT_MIN_PIXELS) return;
+        addWaypointLeg(last, point);
+    }
+
+    state.waypoints.push(point);
+    elements.instructions.classList.add('hidden');
+    elements.pathStats.classList.add('visible');
+    updateWaypointStats();
+    drawWaypointPreview();
+}
+
+// Leg between two waypoints; routed legs start straight and are replaced
+// once the routing backend answers
+function addWaypointLeg(from, to) {
+    const leg = { geoPath: [from, to], promise: Promise.resolve() };
+    if (state.routeWaypoints) {
+        leg.promise = (async () => {
+            try {
+                leg.geoPath = await getRoutingAdapter().route([from, to]);
+            } catch (err) {
+                elements.status.textContent = `Routing failed: ${err.message} — using straight line`;
+            }
+            updateWaypointStats();
+            drawWaypointPreview();
+        })();
+    }
+    state.waypointLegs.push(leg);
+}
+
+function removeLastWaypoint() {
+    if (state.waypoints.length === 0 || state.finishingWaypoints) return;
+    state.waypoints.pop();
+    state.waypointLegs.splice(Math.max(0, state.waypoints.length - 1));
+    updateWaypointStats();
+    drawWaypointPreview();
+}
+
+function cancelWaypoints() {
+    state.waypoints = [];
+    state.waypointLegs = [];
+    state.waypointCursor = null;
+    elements.ctx.clearRect(0, 0, elements.drawCanvas.width, elements.drawCanvas.height);
+    elements.pathStats.classList.remove('visible');
+}
+
+// Concatenate all legs into a single geometry
+function waypointGeoPath() {
+    if (state.waypoints.length === 0) return [];
+    const geoPath = [state.waypointLegs.length > 0 ? state.waypointLegs[0].geoPath[0] : state.waypoints[0]];
+    for (const leg of state.waypointLegs) {
+        for (const pt of leg.geoPath) {
+            const prev = geoPath[geoPath.length - 1];
+            if (pt[0] !== prev[0] || pt[1] !== prev[1]) geoPath.push(pt);
+        }
+    }
+    return geoPath;
+}
+
+async function finishWaypoints() {
+    // Enter and a double click can both finish the same path
+    if (state.finishingWaypoints) return;
+    if (state.waypoints.length < 2) {
+        elements.status.textContent = 'Place at least two waypoints';
+        return;
+    }
+    if (state.routeWaypoints) elements.status.textContent = 'Routing…';
+    state.finishingWaypoints = true;
+    try {
+        await Promise.all(state.waypointLegs.map(leg => leg.promise));
+    } finally {
+        state.finishingWaypoints = false;
+    }
+    if (state.waypoints.length < 2) return; // cancelled while routing
+    const geoPath = waypointGeoPath();
+    cancelWaypoints();
+    await savePath({ geoPath, times: null, attributes: {} }, state.snapToRoads && !state.routeWaypoints);
+}
+
+function updateWaypointStats() {
+    const geoPath = waypointGeoPath();
+    elements.statPoints.textContent = state.waypoints.length;
+    elements.statDistance.textContent = geoPath.length > 1 ? Math.round(calculateDistanceForPath(geoPath)) : 0;
+}
+
+// Preview placed legs plus a rubber band to the cursor, in screen space
+// so it follows map pans and zooms
+function drawWaypointPreview() {
+    const ctx = elements.ctx;
+    ctx.clearRect(0, 0, elements.drawCanvas.width, elements.drawCanvas.height);
+    if (state.waypoints.length === 0) return;
+
     const color = state.colors[(state.nextPathId - 1) % state.colors.length];
+    const toScreen = (pt) => state.map.latLngToContainerPoint(pt);
+    const geoPath = waypointGeoPath();
+
+    ctx.beginPath();
+    geoPath.forEach((pt, i) => {
+        const p = toScreen(pt);
+        if (i === 0) ctx.moveTo(p.x, p.y);
+        else ctx.lineTo(p.x, p.y);
+    });
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 4;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.stroke();
+
+    if (state.waypointCursor) {
+        const from = toScreen(state.waypoints[state.waypoints.length - 1]);
+        const to = toScreen(state.waypointCursor);
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.setLineDash([6, 6]);
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    ctx.fillStyle = '#ffffff';
+    for (const pt of state.waypoints) {
+        const p = toScreen(pt);
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+}
+
+function isHexColor(color) {
+    return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
+}
+
+// Create a path with its map polyline and append it to state.paths
+function addPath({ id = null, geoPath, times = null, name = null, color = null, attributes = {},
+                   snapped = false, altGeometry = null, corridorWidth = null, group = null, hidden = false }) {
+    // Colors also come from files and links and end up in markup
+    const pathColor = isHexColor(color) ? color : state.colors[(state.nextPathId - 1) % state.colors.length];
     const pathData = {
-        id: state.nextPathId++,
-        geoPath: [...state.currentGeoPath],
-        color: color,
-        name: `Path ${state.paths.length + 1}`,
-        distance: calculateDistanceForPath(state.currentGeoPath)
+        id: id != null ? id : state.nextPathId++,
+        geoPath: geoPath,
+        times: times,
+        attributes: attributes,
+        snapped: snapped,
+        altGeometry: altGeometry, // raw stroke when snapped, snapped geometry when raw
+        corridorWidth: corridorWidth, // per-ribbon override of state.corridorWidth
+        color: pathColor,
+        name: name || `Path ${state.paths.length + 1}`,
+        group: group, // name of a state.pathGroups entry
+        hidden: hidden, // kept but left off the map and the ribbons
+        distance: calculateDistanceForPath(geoPath)
     };
-    
+
     pathData.polyline = L.polyline(pathData.geoPath, {
-        color: color,
+        color: pathColor,
         weight: 4,
         opacity: 0.9
-    }).addTo(state.map);
-    
+    });
+    applyPathVisibility(pathData);
+    pathData.polyline.on('mousemove', (e) => handlePathHover(pathData, e.latlng));
+    pathData.polyline.on('mouseout', handlePathHoverEnd);
+    pathData.polyline.on('click', (e) => handlePathClick(pathData, e));
+
     state.paths.push(pathData);
-    updatePathList();
-    updateUnrollButton();
-    elements.status.textContent = `Saved ${pathData.name}`;
-    setDrawMode(false);
+    return pathData;
 }
 
-// Update path list UI
-function updatePathList() {
-    elements.pathCount.textContent = state.paths.length;
-    
-    if (state.paths.length === 0) {
-        elements.pathEmpty.style.display = 'block';
-        elements.pathList.querySelectorAll('.path-item').forEach(el => el.remove());
+// Save the current stroke (or a given geometry), snapping it to roads first when enabled
+async function savePath(raw = null, snap = state.snapToRoads) {
+    if (state.savingPath) {
+        elements.status.textContent = 'Still saving the previous path…';
         return;
     }
+    raw = raw || { geoPath: [...state.currentGeoPath], times: [...state.currentTimes], attributes: {} };
+    let geometry = raw;
+    let snapped = false;
+
+    if (snap) {
+        elements.status.textContent = 'Snapping to roads…';
+        state.savingPath = true;
+        try {
+            geometry = { ...(await snapGeometry(raw.geoPath, raw.times)), attributes: {} };
+            snapped = true;
+        } catch (err) {
+            elements.status.textContent = `Snapping failed: ${err.message} — kept raw stroke`;
+        } finally {
+            state.savingPath = false;
+        }
+    }
+
+    recordHistory('draw');
+    const pathData = addPath({
+        ...geometry,
+        snapped,
+        altGeometry: snapped ? raw : null
+    });
+    
+    updatePathList();
+    updateUnrollButton();
+    updateAlignModeToggle();
+    scheduleAutosave();
+    setDrawMode(false);
+    if (!snap || snapped) {
+        elements.status.textContent = snapped ? `Saved ${pathData.name} (snapped)` : `Saved ${pathData.name}`;
+    }
+}
+
+// Update path list UI: paths in order, each group's paths under its header
+function updatePathList() {
+    elements.pathCount.textContent = state.paths.length;
+    elements.pathList.querySelectorAll('.path-item, .path-group').forEach(el => el.remove());
+
+    if (state.paths.length === 0 && state.pathGroups.length === 0) {
+        elements.pathEmpty.style.display = 'block';
+        updateStatsPanel();
+        return;
+    }
+    
+    elements.pathEmpty.style.display = 'none';
     
-    elements.pathEmpty.style.display = 'none';
-    elements.pathList.querySelectorAll('.path-item').forEach(el => el.remove());
-    
+    let currentGroup = null;
     state.paths.forEach(path => {
+        const group = state.pathGroups.find(g => g.name === path.group);
+        if (group && group !== currentGroup) elements.pathList.appendChild(createGroupHeader(group));
+        currentGroup = group;
+        if (group && group.collapsed) return;
+
         const item = document.createElement('div');
         item.className = 'path-item';
         item.dataset.id = path.id;
         
-        const distStr = path.distance >= 1000 
-            ? (path.distance / 1000).toFixed(1) + ' km'
-            : Math.round(path.distance) + ' m';
+        const distStr = formatDistance(path.distance);
         
         item.innerHTML = `
-            <div class="path-color" style="background: ${path.color}"></div>
+            <label class="path-color" title="Change color">
+                <input type="color">
+            </label>
             <div class="path-info">
-                <div class="path-name">${path.name}</div>
+                <div class="path-name" title="Double-click to rename">${escapeXml(path.name)}</div>
                 <div class="path-meta">${path.geoPath.length} pts · ${distStr}</div>
             </div>
+            <button class="path-visibility${path.hidden ? ' off' : ''}" title="${path.hidden ? 'Show path' : 'Hide path'}">${path.hidden ? '○' : '◉'}</button>
+            <button class="path-snap${path.snapped ? ' active' : ''}" title="${path.altGeometry
+                ? (path.snapped ? 'Show raw stroke' : 'Show snapped geometry')
+                : 'Snap to roads'}">⌇</button>
+            <button class="path-edit" title="Edit path"${path.hidden ? ' disabled' : ''}>✎</button>
             <button class="path-delete" title="Delete path">✕</button>
         `;
+        item.classList.toggle('editing', path.id === state.editPathId);
+        item.classList.toggle('grouped', !!group);
+        item.classList.toggle('hidden-path', path.hidden);
+        item.querySelector('.path-color').style.background = path.color;
+        item.querySelector('.path-color input').value = path.color;
+        
+        item.querySelector('.path-color').addEventListener('click', (e) => e.stopPropagation());
+        item.querySelector('.path-color input').addEventListener('change', (e) => {
+            recolorPath(path.id, e.target.value);
+        });
+        
+        item.querySelector('.path-name').addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            editInline(e.target, path.name, name => renamePath(path.id, name));
+        });
+        
+        item.querySelector('.path-visibility').addEventListener('click', (e) => {
+            e.stopPropagation();
+            setPathsHidden([path], !path.hidden);
+        });
+        
+        item.querySelector('.path-snap').addEventListener('click', (e) => {
+            e.stopPropagation();
+            togglePathSnap(path.id);
+        });
+        
+        item.querySelector('.path-edit').addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (state.editPathId === path.id) stopEditing();
+            else startEditing(path.id);
+        });
         
         item.querySelector('.path-delete').addEventListener('click', (e) => {
             e.stopPropagation();
@@ -417,336 +1479,4189 @@ function updatePathList() {
         item.addEventListener('click', () => {
             state.map.fitBounds(path.polyline.getBounds(), { padding: [50, 50] });
         });
+        bindPathDrag(item, path);
         
         elements.pathList.appendChild(item);
     });
+
+    // Groups without paths yet, as drop targets
+    for (const group of state.pathGroups) {
+        if (!state.paths.some(p => p.group === group.name)) elements.pathList.appendChild(createGroupHeader(group));
+    }
+    updateStatsPanel();
+}
+
+// Path management: rename, recolor, hide, reorder and group. The order
+// of state.paths is the list order and the ribbon row order; members of
+// a group are kept next to each other.
+let draggedPathId = null;
+
+function visiblePaths() {
+    return state.paths.filter(p => !p.hidden);
+}
+
+// Swap a label for a text input until Enter or blur; Escape cancels
+function editInline(label, value, commit) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'session-input path-rename';
+    input.value = value;
+    label.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (save) => {
+        if (done) return;
+        done = true;
+        const text = input.value.trim();
+        if (save && text && text !== value) commit(text);
+        else input.replaceWith(label);
+    };
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(true);
+        else if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+    input.addEventListener('click', (e) => e.stopPropagation());
+}
+
+function renamePath(id, name) {
+    const path = state.paths.find(p => p.id === id);
+    if (!path) return;
+    recordHistory('rename');
+    path.name = name;
+    refreshAfterPathChange();
+}
+
+function recolorPath(id, color) {
+    const path = state.paths.find(p => p.id === id);
+    if (!path || path.color === color || !isHexColor(color)) return;
+    recordHistory('recolor');
+    path.color = color;
+    path.polyline.setStyle({ color });
+    refreshAfterPathChange();
+}
+
+// Show or remove a path's polyline to match its hidden flag
+function applyPathVisibility(path) {
+    if (path.hidden) state.map.removeLayer(path.polyline);
+    else path.polyline.addTo(state.map);
+}
+
+// Hidden paths stay in the workspace but leave the map and the ribbons
+function setPathsHidden(paths, hidden) {
+    if (paths.length === 0) return;
+    recordHistory(hidden ? 'hide' : 'show');
+    for (const path of paths) {
+        if (hidden && path.id === state.editPathId) stopEditing();
+        path.hidden = hidden;
+        applyPathVisibility(path);
+    }
+    refreshAfterPathChange();
+}
+
+// Move a path next to another one, joining that path's group
+function movePath(id, targetId, after) {
+    const path = state.paths.find(p => p.id === id);
+    const target = state.paths.find(p => p.id === targetId);
+    if (!path || !target || path === target) return;
+    recordHistory('reorder');
+    state.paths.splice(state.paths.indexOf(path), 1);
+    state.paths.splice(state.paths.indexOf(target) + (after ? 1 : 0), 0, path);
+    path.group = target.group;
+    refreshAfterPathChange();
+}
+
+// Move a path to the end of a group, or to the end of the list (no group)
+function movePathToGroup(id, group) {
+    const path = state.paths.find(p => p.id === id);
+    if (!path) return;
+    recordHistory(group ? 'group' : 'ungroup');
+    state.paths.splice(state.paths.indexOf(path), 1);
+    const members = group ? state.paths.filter(p => p.group === group) : [];
+    const index = members.length > 0 ? state.paths.indexOf(members[members.length - 1]) + 1 : state.paths.length;
+    state.paths.splice(index, 0, path);
+    path.group = group;
+    refreshAfterPathChange();
+}
+
+function addPathGroup() {
+    let n = state.pathGroups.length + 1;
+    while (state.pathGroups.some(g => g.name === `Group ${n}`)) n++;
+    recordHistory('new group');
+    state.pathGroups.push({ name: `Group ${n}`, collapsed: false });
+    updatePathList();
+    scheduleAutosave();
+    elements.status.textContent = `Added Group ${n} — drag paths onto it`;
+}
+
+function renamePathGroup(name, newName) {
+    const group = state.pathGroups.find(g => g.name === name);
+    if (!group) return;
+    if (state.pathGroups.some(g => g.name === newName)) {
+        elements.status.textContent = `A group named ${newName} already exists`;
+        updatePathList();
+        return;
+    }
+    recordHistory('rename');
+    group.name = newName;
+    state.paths.forEach(p => { if (p.group === name) p.group = newName; });
+    refreshAfterPathChange();
+}
+
+// Remove a group; its paths stay where they are, ungrouped
+function deletePathGroup(name) {
+    recordHistory('ungroup');
+    state.pathGroups = state.pathGroups.filter(g => g.name !== name);
+    state.paths.forEach(p => { if (p.group === name) p.group = null; });
+    refreshAfterPathChange();
+}
+
+function togglePathGroup(name) {
+    const group = state.pathGroups.find(g => g.name === name);
+    if (!group) return;
+    group.collapsed = !group.collapsed;
+    updatePathList();
+    scheduleAutosave();
+}
+
+// Register groups named by paths and pull each group's paths together
+// (after restoring data that may not keep them adjacent)
+function normalizePathGroups() {
+    for (const path of state.paths) {
+        if (path.group && !state.pathGroups.some(g => g.name === path.group)) {
+            state.pathGroups.push({ name: path.group, collapsed: false });
+        }
+    }
+    const order = [];
+    for (const path of state.paths) {
+        if (order.includes(path)) continue;
+        if (path.group) order.push(...state.paths.filter(p => p.group === path.group));
+        else order.push(path);
+    }
+    state.paths = order;
+}
+
+// Group header row in the path list: collapse toggle, name, visibility, ungroup
+function createGroupHeader(group) {
+    const members = state.paths.filter(p => p.group === group.name);
+    const hidden = members.length > 0 && members.every(p => p.hidden);
+    const header = document.createElement('div');
+    header.className = 'path-group';
+    header.innerHTML = `
+        <button class="path-group-toggle" title="${group.collapsed ? 'Expand' : 'Collapse'}">${group.collapsed ? '▸' : '▾'}</button>
+        <span class="path-group-name" title="Double-click to rename">${escapeXml(group.name)}</span>
+        <span class="path-group-count">${members.length}</span>
+        <button class="path-visibility${hidden ? ' off' : ''}" title="${hidden ? 'Show group' : 'Hide group'}">${hidden ? '○' : '◉'}</button>
+        <button class="path-delete" title="Ungroup">✕</button>
+    `;
+    header.querySelector('.path-group-toggle').addEventListener('click', () => togglePathGroup(group.name));
+    header.querySelector('.path-group-name').addEventListener('dblclick', (e) => {
+        editInline(e.target, group.name, name => renamePathGroup(group.name, name));
+    });
+    header.querySelector('.path-visibility').addEventListener('click', () => setPathsHidden(members, !hidden));
+    header.querySelector('.path-delete').addEventListener('click', () => deletePathGroup(group.name));
+
+    // Dropping a path on the header adds it to the group
+    header.addEventListener('dragover', (e) => {
+        if (draggedPathId == null) return;
+        e.preventDefault();
+        header.classList.add('drop-into');
+    });
+    header.addEventListener('dragleave', () => header.classList.remove('drop-into'));
+    header.addEventListener('drop', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        header.classList.remove('drop-into');
+        if (draggedPathId != null) movePathToGroup(draggedPathId, group.name);
+    });
+    return header;
+}
+
+// Drag handlers of a path item: dropping on the upper or lower half
+// places the dragged path before or after it
+function bindPathDrag(item, path) {
+    item.draggable = true;
+    item.addEventListener('dragstart', (e) => {
+        draggedPathId = path.id;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(path.id)); // Firefox only drags with data set
+        item.classList.add('dragging');
+    });
+    item.addEventListener('dragend', () => {
+        draggedPathId = null;
+        item.classList.remove('dragging');
+    });
+    const after = (e) => {
+        const rect = item.getBoundingClientRect();
+        return e.clientY > rect.top + rect.height / 2;
+    };
+    item.addEventListener('dragover', (e) => {
+        if (draggedPathId == null || draggedPathId === path.id) return;
+        e.preventDefault();
+        item.classList.toggle('drop-before', !after(e));
+        item.classList.toggle('drop-after', after(e));
+    });
+    item.addEventListener('dragleave', () => item.classList.remove('drop-before', 'drop-after'));
+    item.addEventListener('drop', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        item.classList.remove('drop-before', 'drop-after');
+        if (draggedPathId != null) movePath(draggedPathId, path.id, after(e));
+    });
 }
 
 // Delete a path
 function deletePath(id) {
     const idx = state.paths.findIndex(p => p.id === id);
     if (idx === -1) return;
+    if (state.editPathId === id) stopEditing();
+    recordHistory('delete');
     
     state.map.removeLayer(state.paths[idx].polyline);
     state.paths.splice(idx, 1);
     updatePathList();
     updateUnrollButton();
-    elements.status.textContent = 'Path deleted';
+    updateAlignModeToggle();
+    scheduleAutosave();
+    elements.status.textContent = 'Path deleted — Ctrl+Z to undo';
 }
 
 // Clear all paths
-function clearAllPaths() {
+function clearAllPaths(recordUndo = true) {
+    stopEditing();
+    if (recordUndo && (state.paths.length > 0 || state.annotations.length > 0 || state.pathGroups.length > 0)) {
+        recordHistory('clear');
+    }
     state.paths.forEach(path => state.map.removeLayer(path.polyline));
     if (state.crossingMarkers) {
         state.crossingMarkers.forEach(m => state.map.removeLayer(m));
         state.crossingMarkers = [];
     }
+    if (state.overlapBands) {
+        state.overlapBands.forEach(band => state.map.removeLayer(band));
+        state.overlapBands = [];
+    }
     state.paths = [];
     state.currentPath = [];
     state.currentGeoPath = [];
+    state.currentTimes = [];
     state.alignment = null;
+    state.pendingAlignPoint = null;
+    state.annotations = [];
+    state.pathGroups = [];
+    updateAnnotationMarkers();
+    updateAnnotationList();
+    cancelWaypoints();
     elements.ctx.clearRect(0, 0, elements.drawCanvas.width, elements.drawCanvas.height);
     elements.instructions.classList.toggle('hidden', !state.drawMode);
     elements.pathStats.classList.remove('visible');
     elements.status.textContent = state.drawMode ? 'Draw a path' : 'Navigate map';
     updatePathList();
     updateUnrollButton();
+    updateAlignModeToggle();
+    scheduleAutosave();
     elements.statPoints.textContent = '0';
     elements.statDistance.textContent = '0';
 }
 
-// Update stats display
-function updateStats() {
-    elements.statPoints.textContent = state.currentPath.length;
-    elements.statDistance.textContent = Math.round(calculateDistanceForPath(state.currentGeoPath));
+// Deep copy of a geometry ({ geoPath, times, attributes })
+function cloneGeometry(g) {
+    return {
+        geoPath: g.geoPath.map(pt => [...pt]),
+        times: g.times ? [...g.times] : null,
+        attributes: Object.fromEntries(Object.entries(g.attributes || {}).map(([k, v]) => [k, [...v]]))
+    };
 }
 
-// Update unroll button state
-function updateUnrollButton() {
-    elements.unrollBtn.disabled = state.paths.length === 0;
+// Deep copy of the path data needed to rebuild the workspace
+function snapshotPaths() {
+    return {
+        paths: state.paths.map(p => ({
+            id: p.id,
+            name: p.name,
+            color: p.color,
+            ...cloneGeometry(p),
+            snapped: p.snapped,
+            altGeometry: p.altGeometry ? cloneGeometry(p.altGeometry) : null,
+            corridorWidth: p.corridorWidth,
+            group: p.group,
+            hidden: p.hidden
+        })),
+        nextPathId: state.nextPathId,
+        pathGroups: state.pathGroups.map(g => ({ ...g })),
+        annotations: state.annotations.map(note => ({ ...note })),
+        nextAnnotationId: state.nextAnnotationId,
+        alignMode: state.alignMode,
+        alignMethod: state.alignMethod,
+        alignment: state.alignment
+    };
 }
 
-// View switching
-async function showRibbon() {
-    state.view = 'ribbon';
-    elements.mapContainer.classList.add('hidden');
-    elements.ribbonContainer.classList.add('visible');
-    await renderAllRibbons();
+// Replace paths and their map layers with a snapshot
+function applySnapshot(snapshot) {
+    const editId = state.editPathId;
+    stopEditing();
+    state.paths.forEach(path => state.map.removeLayer(path.polyline));
+    state.paths = [];
+    for (const p of snapshot.paths) {
+        addPath({
+            ...p,
+            ...cloneGeometry(p),
+            altGeometry: p.altGeometry ? cloneGeometry(p.altGeometry) : null
+        });
+    }
+    state.nextPathId = snapshot.nextPathId;
+    state.pathGroups = snapshot.pathGroups.map(g => ({ ...g }));
+    state.annotations = snapshot.annotations.map(note => ({ ...note }));
+    state.nextAnnotationId = snapshot.nextAnnotationId;
+    updateAnnotationMarkers();
+    updateAnnotationList();
+    state.alignMode = snapshot.alignMode;
+    state.alignMethod = snapshot.alignMethod;
+    elements.alignMethodSelect.value = state.alignMethod;
+    state.alignment = snapshot.alignment;
+    refreshAfterPathChange();
+    if (state.paths.some(p => p.id === editId)) startEditing(editId);
 }
 
-function showMap() {
-    state.view = 'map';
-    elements.mapContainer.classList.remove('hidden');
-    elements.ribbonContainer.classList.remove('visible');
+// Remember the current paths before a change so it can be undone
+function recordHistory(label) {
+    undoHistory.undo.push({ label, snapshot: snapshotPaths() });
+    if (undoHistory.undo.length > HISTORY_LIMIT) undoHistory.undo.shift();
+    undoHistory.redo = [];
+    updateHistoryButtons();
 }
 
-// Tile loading
-async function loadTile(x, y, z) {
-    return new Promise((resolve) => {
-        const img = new Image();
-        img.crossOrigin = 'anonymous';
-        const provider = tileProviders[state.tileProvider];
-        img.src = provider.ribbonTileUrl(x, y, z);
-        img.onload = () => resolve(img);
-        img.onerror = () => resolve(null);
-    });
+function undo() {
+    if (state.savingPath) return;
+    const entry = undoHistory.undo.pop();
+    if (!entry) return;
+    undoHistory.redo.push({ label: entry.label, snapshot: snapshotPaths() });
+    applySnapshot(entry.snapshot);
+    updateHistoryButtons();
+    elements.status.textContent = `Undid ${entry.label}`;
 }
 
-async function getTile(x, y, z) {
-    const key = `${z}/${x}/${y}`;
-    if (!tileCache.has(key)) {
-        tileCache.set(key, await loadTile(x, y, z));
-    }
-    return tileCache.get(key);
+function redo() {
+    if (state.savingPath) return;
+    const entry = undoHistory.redo.pop();
+    if (!entry) return;
+    undoHistory.undo.push({ label: entry.label, snapshot: snapshotPaths() });
+    applySnapshot(entry.snapshot);
+    updateHistoryButtons();
+    elements.status.textContent = `Redid ${entry.label}`;
 }
 
-// Render all ribbons
-async function renderAllRibbons() {
-    elements.ribbonRows.querySelectorAll('.ribbon-row').forEach(el => el.remove());
-    state.ribbonMeta = [];
-    state.hoveredCrossingKey = null;
+// Forget all undo/redo entries (e.g. after restoring on startup)
+function clearHistory() {
+    undoHistory.undo = [];
+    undoHistory.redo = [];
+    updateHistoryButtons();
+}
 
-    if (state.paths.length === 0) {
-        elements.ribbonEmpty.style.display = 'flex';
-        return;
-    }
+function updateHistoryButtons() {
+    const undoEntry = undoHistory.undo[undoHistory.undo.length - 1];
+    const redoEntry = undoHistory.redo[undoHistory.redo.length - 1];
+    elements.undoBtn.disabled = !undoEntry;
+    elements.redoBtn.disabled = !redoEntry;
+    elements.undoBtn.title = undoEntry ? `Undo ${undoEntry.label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+    elements.redoBtn.title = redoEntry ? `Redo ${redoEntry.label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+    if (state.editPathId != null) elements.editUndoBtn.disabled = !undoEntry;
+}
 
-    elements.ribbonEmpty.style.display = 'none';
-    const maxDistance = Math.max(...state.paths.map(p => p.distance));
-    const crossingsByPath = computeAllCrossings(state.paths);
-    const viewportWidth = elements.ribbonRows.clientWidth;
-    const padding = 20;
-    const maxRibbonWidth = viewportWidth - padding * 2;
+// Bring derived data and every view up to date after paths changed
+function refreshAfterPathChange() {
+    state.paths.forEach(path => {
+        path.distance = calculateDistanceForPath(path.geoPath);
+        path.polyline.setLatLngs(path.geoPath);
+    });
+    updatePathList();
+    updateUnrollButton();
+    updateAlignModeToggle();
+    if (state.crossingMarkers && state.crossingMarkers.length > 0) {
+        updateMapAnalysis();
+    }
+    if (state.editPathId != null) updateEditToolbar();
+    scheduleAutosave();
+    if (state.view === 'ribbon') renderAllRibbons();
+}
 
-    // Pre-compute ribbon widths and alignment offsets
-    const layouts = state.paths.map(path => ({
-        pathId: path.id,
-        ribbonWidth: (path.distance / maxDistance) * maxRibbonWidth
-    }));
+// Path editing: vertex handles on the selected path's polyline
+const MAX_EDIT_HANDLES = 400;
 
-    let drawOffsets = {};
-    let totalCanvasWidth = 0; // 0 = use default (viewport width)
-    let scrollTarget = 0;
-    const aligned = !!state.alignment;
+function getEditPath() {
+    return state.paths.find(p => p.id === state.editPathId) || null;
+}
 
-    if (aligned) {
-        const anchorLayout = layouts.find(l => l.pathId === state.alignment.anchorPathId);
-        const anchorCrossings = crossingsByPath[state.alignment.anchorPathId] || [];
-        const anchorCrossing = anchorCrossings.find(c =>
-            `${c.lat.toFixed(8)},${c.lng.toFixed(8)}` === state.alignment.crossingKey
-        );
+function startEditing(id) {
+    stopEditing();
+    const path = state.paths.find(p => p.id === id);
+    if (!path || path.hidden) return;
+    if (state.drawMode) setDrawMode(false);
 
-        if (anchorCrossing && anchorLayout) {
-            const anchorX = padding + anchorCrossing.distFraction * anchorLayout.ribbonWidth;
-            let minStart = padding, maxEnd = padding + anchorLayout.ribbonWidth;
+    state.editPathId = id;
+    state.editSelectedVertex = null;
+    path.polyline.on('click', handleEditLineClick);
+    path.polyline.setStyle({ weight: 6 });
+    state.map.on('moveend', updateEditHandles);
 
-            for (const layout of layouts) {
-                if (layout.pathId === state.alignment.anchorPathId) {
-                    drawOffsets[layout.pathId] = 0;
-                    continue;
-                }
-                const pathCrossings = crossingsByPath[layout.pathId] || [];
-                const match = pathCrossings.find(c =>
-                    `${c.lat.toFixed(8)},${c.lng.toFixed(8)}` === state.alignment.crossingKey
-                );
-                if (match) {
-                    const thisX = padding + match.distFraction * layout.ribbonWidth;
-                    drawOffsets[layout.pathId] = anchorX - thisX;
-                } else {
-                    drawOffsets[layout.pathId] = 0;
-                }
-                const start = padding + drawOffsets[layout.pathId];
-                const end = start + layout.ribbonWidth;
-                minStart = Math.min(minStart, start);
-                maxEnd = Math.max(maxEnd, end);
-            }
+    elements.editToolbar.classList.add('visible');
+    updateEditToolbar();
+    updateEditHandles();
+    updatePathList();
+    elements.status.textContent = `Editing ${path.name}`;
+}
 
-            // Global shift so nothing has negative coordinates
-            const globalShift = minStart < 0 ? -minStart + padding : 0;
-            for (const id in drawOffsets) drawOffsets[id] += globalShift;
-            totalCanvasWidth = maxEnd + globalShift + padding;
-            scrollTarget = anchorX + globalShift - viewportWidth / 2;
-        } else {
-            state.alignment = null; // invalid alignment, reset
-        }
+function stopEditing() {
+    if (state.editPathId == null) return;
+    const path = getEditPath();
+    if (path) {
+        path.polyline.off('click', handleEditLineClick);
+        path.polyline.setStyle({ weight: 4 });
     }
+    state.map.off('moveend', updateEditHandles);
+    state.editHandles.forEach(h => state.map.removeLayer(h));
+    state.editHandles = [];
+    state.editPathId = null;
+    state.editSelectedVertex = null;
+    elements.editToolbar.classList.remove('visible');
+    updatePathList();
+    elements.status.textContent = 'Navigate map';
+}
 
-    for (const path of state.paths) {
-        const row = document.createElement('div');
-        row.className = 'ribbon-row';
-
-        const distStr = path.distance >= 1000
-            ? (path.distance / 1000).toFixed(2) + ' km'
-            : Math.round(path.distance) + ' m';
-
-        row.innerHTML = `
-            <div class="ribbon-row-header">
-                <div class="ribbon-row-color" style="background: ${path.color}"></div>
-                <span class="ribbon-row-name">${path.name}</span>
-                <span class="ribbon-row-distance">${distStr}</span>
-            </div>
-            <div class="ribbon-canvas-wrapper">
-                <canvas class="ribbon-row-canvas"></canvas>
-                <canvas class="ribbon-overlay-canvas"></canvas>
-            </div>
-        `;
-
-        elements.ribbonRows.appendChild(row);
-        const ribbonCanvas = row.querySelector('.ribbon-row-canvas');
-        const overlayCanvas = row.querySelector('.ribbon-overlay-canvas');
-        const wrapper = row.querySelector('.ribbon-canvas-wrapper');
-        const crossings = crossingsByPath[path.id] || [];
+// Rebuild draggable vertex handles for the vertices in view
+function updateEditHandles() {
+    state.editHandles.forEach(h => state.map.removeLayer(h));
+    state.editHandles = [];
+    const path = getEditPath();
+    if (!path) return;
 
-        // Compute per-ribbon rendering options
-        const isAnchor = aligned && path.id === state.alignment.anchorPathId;
-        const drawOffset = drawOffsets[path.id] || 0;
-        let crossingDist = null;
-        if (aligned && !isAnchor) {
-            const match = crossings.find(c =>
-                `${c.lat.toFixed(8)},${c.lng.toFixed(8)}` === state.alignment.crossingKey
-            );
-            if (match) crossingDist = match.distFraction * path.distance;
-        }
+    const bounds = state.map.getBounds();
+    const visible = [];
+    path.geoPath.forEach((pt, i) => {
+        if (bounds.contains(pt)) visible.push(i);
+    });
+    if (visible.length > MAX_EDIT_HANDLES) {
+        elements.editHint.textContent = `${visible.length} vertices in view — zoom in to edit`;
+        return;
+    }
+    elements.editHint.textContent = 'Drag vertices · click line to insert · right-click vertex to delete';
 
-        // Set wider width for alignment
-        if (totalCanvasWidth > 0) {
-            wrapper.style.width = totalCanvasWidth + 'px';
-            row.style.width = totalCanvasWidth + 'px';
-        }
+    for (const i of visible) {
+        const selected = i === state.editSelectedVertex;
+        const handle = L.marker(path.geoPath[i], {
+            draggable: true,
+            icon: L.divIcon({
+                className: 'vertex-handle' + (selected ? ' selected' : ''),
+                iconSize: [12, 12]
+            })
+        }).addTo(state.map);
 
-        const meta = await renderSingleRibbon(ribbonCanvas, path, maxDistance, crossings, {
-            drawOffset,
-            totalCanvasWidth: totalCanvasWidth || 0,
-            viewportWidth,
-            crossingDist,
-            isAnchor
+        handle.on('dragstart', () => recordHistory('vertex move'));
+        handle.on('drag', (e) => {
+            const { lat, lng } = e.target.getLatLng();
+            path.geoPath[i] = [lat, lng];
+            path.polyline.setLatLngs(path.geoPath);
         });
+        handle.on('dragend', refreshAfterPathChange);
+        handle.on('click', () => {
+            state.editSelectedVertex = i;
+            updateEditHandles();
+            updateEditToolbar();
+        });
+        handle.on('contextmenu', (e) => {
+            L.DomEvent.preventDefault(e.originalEvent);
+            deleteVertex(i);
+        });
+        state.editHandles.push(handle);
+    }
+}
 
-        overlayCanvas.width = ribbonCanvas.width;
-        overlayCanvas.height = ribbonCanvas.height;
+// Interpolate per-point times and attributes for a new vertex
+function insertVertex(path, index, point, t) {
+    const interpolate = (values) => {
+        const a = values[index - 1], b = values[index];
+        values.splice(index, 0, a + t * (b - a));
+    };
+    path.geoPath.splice(index, 0, point);
+    if (path.times) interpolate(path.times);
+    for (const key in path.attributes) interpolate(path.attributes[key]);
+}
 
-        const effectivePadding = meta.padding + drawOffset;
-        state.ribbonMeta.push({
-            pathId: path.id,
-            color: path.color,
-            padding: effectivePadding,
-            ribbonWidth: meta.ribbonWidth,
-            totalDistance: meta.totalDistance,
-            crossings: crossings.map(c => ({
-                ...c,
-                pixelX: effectivePadding + c.distFraction * meta.ribbonWidth
-            })),
-            canvas: ribbonCanvas,
-            overlayCanvas: overlayCanvas,
-            row: row
-        });
+// Click on the edited polyline inserts a vertex on the nearest segment
+function handleEditLineClick(e) {
+    const path = getEditPath();
+    if (!path) return;
+    L.DomEvent.stopPropagation(e);
+
+    const p = state.map.latLngToLayerPoint(e.latlng);
+    let best = { dist: Infinity, index: 1, t: 0 };
+    for (let i = 0; i < path.geoPath.length - 1; i++) {
+        const a = state.map.latLngToLayerPoint(path.geoPath[i]);
+        const b = state.map.latLngToLayerPoint(path.geoPath[i + 1]);
+        const dx = b.x - a.x, dy = b.y - a.y;
+        const len2 = dx * dx + dy * dy;
+        const t = len2 > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+        const dist = Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+        if (dist < best.dist) best = { dist, index: i + 1, t };
     }
 
-    updateMapCrossingMarkers(crossingsByPath);
+    recordHistory('vertex insert');
+    insertVertex(path, best.index, [e.latlng.lat, e.latlng.lng], best.t);
+    state.editSelectedVertex = best.index;
+    refreshAfterPathChange();
+    updateEditHandles();
+}
 
-    // Scroll to alignment point
-    if (aligned && scrollTarget > 0) {
-        elements.ribbonRows.scrollLeft = Math.max(0, scrollTarget);
-    } else {
-        elements.ribbonRows.scrollLeft = 0;
+function deleteVertex(index) {
+    const path = getEditPath();
+    if (!path) return;
+    if (path.geoPath.length <= 2) {
+        elements.status.textContent = 'A path needs at least two points';
+        return;
     }
+    recordHistory('vertex delete');
+    path.geoPath.splice(index, 1);
+    if (path.times) path.times.splice(index, 1);
+    for (const key in path.attributes) path.attributes[key].splice(index, 1);
+    state.editSelectedVertex = null;
+    refreshAfterPathChange();
+    updateEditHandles();
 }
 
-// Update crossing markers on the Leaflet map
-function updateMapCrossingMarkers(crossingsByPath) {
-    // Clear previous markers
-    if (state.crossingMarkers) {
-        state.crossingMarkers.forEach(m => state.map.removeLayer(m));
+// Split the edited path at the selected vertex into two paths
+function splitPathAtVertex() {
+    const path = getEditPath();
+    const index = state.editSelectedVertex;
+    if (!path || index == null || index <= 0 || index >= path.geoPath.length - 1) {
+        elements.status.textContent = 'Select an interior vertex to split at';
+        return;
     }
-    state.crossingMarkers = [];
+    recordHistory('split');
 
-    // Deduplicate by location (each crossing produces entries on both paths)
-    const seen = new Set();
-    for (const pathId in crossingsByPath) {
-        for (const c of crossingsByPath[pathId]) {
-            const key = `${c.lat.toFixed(8)},${c.lng.toFixed(8)}`;
-            if (seen.has(key)) continue;
-            seen.add(key);
+    const slice = (values, from, to) => values ? values.slice(from, to) : null;
+    const tail = addPath({
+        geoPath: path.geoPath.slice(index),
+        times: slice(path.times, index),
+        name: `${path.name} (2)`,
+        group: path.group,
+        attributes: Object.fromEntries(Object.entries(path.attributes).map(([k, v]) => [k, v.slice(index)]))
+    });
+    path.geoPath = path.geoPath.slice(0, index + 1);
+    path.times = slice(path.times, 0, index + 1);
+    for (const key in path.attributes) path.attributes[key] = path.attributes[key].slice(0, index + 1);
+    path.altGeometry = null;
 
-            const marker = L.circleMarker([c.lat, c.lng], {
-                radius: 6,
-                color: '#ffffff',
-                fillColor: '#ffffff',
-                fillOpacity: 0.8,
-                weight: 2
-            }).addTo(state.map);
-            state.crossingMarkers.push(marker);
+    // Keep the new half directly after the original in the list
+    state.paths.splice(state.paths.indexOf(tail), 1);
+    state.paths.splice(state.paths.indexOf(path) + 1, 0, tail);
+
+    state.editSelectedVertex = null;
+    refreshAfterPathChange();
+    updateEditHandles();
+    elements.status.textContent = `Split ${path.name}`;
+}
+
+// Append another path to the end of the edited path
+function joinPaths(targetId) {
+    const path = getEditPath();
+    const other = state.paths.find(p => p.id === targetId);
+    if (!path || !other || other === path) return;
+    recordHistory('join');
+
+    // Timestamps only survive if the joined track starts after this one ends
+    const timesValid = hasTimes(path) && hasTimes(other) &&
+        other.times[0] >= path.times[path.times.length - 1];
+    path.times = timesValid ? path.times.concat(other.times) : null;
+    for (const key of Object.keys(path.attributes)) {
+        if (other.attributes && other.attributes[key]) {
+            path.attributes[key] = path.attributes[key].concat(other.attributes[key]);
+        } else {
+            delete path.attributes[key];
         }
     }
+    path.geoPath = path.geoPath.concat(other.geoPath);
+    path.altGeometry = null;
+
+    state.map.removeLayer(other.polyline);
+    state.paths.splice(state.paths.indexOf(other), 1);
+    if (state.alignment && state.alignment.anchorPathId === other.id) state.alignment = null;
+
+    refreshAfterPathChange();
+    updateEditHandles();
+    elements.status.textContent = `Joined ${other.name} onto ${path.name}`;
 }
 
-// Render a single ribbon
-async function renderSingleRibbon(canvas, pathData, maxDistance, crossings = [], options = {}) {
-    const drawOffset = options.drawOffset || 0;
-    const totalCanvasWidth = options.totalCanvasWidth || 0;
-    const vpWidth = options.viewportWidth || 0;
-    const crossingDist = options.crossingDist; // null = absolute labels
-    const isAnchor = options.isAnchor || false;
+// Sync the edit toolbar with the edited path
+function updateEditToolbar() {
+    const path = getEditPath();
+    if (!path) return;
+    elements.editTitle.textContent = `Editing ${path.name}`;
+    elements.editSplitBtn.disabled = state.editSelectedVertex == null;
+    elements.editUndoBtn.disabled = undoHistory.undo.length === 0;
 
-    const dpr = window.devicePixelRatio || 1;
-    const cssWidth = totalCanvasWidth || canvas.clientWidth;
-    const height = canvas.clientHeight;
+    const others = state.paths.filter(p => p.id !== path.id);
+    elements.editJoinSelect.innerHTML = '<option value="">Join…</option>' + others
+        .map(p => `<option value="${p.id}">${escapeXml(p.name)}</option>`)
+        .join('');
+    elements.editJoinSelect.disabled = others.length === 0;
+}
 
-    if (totalCanvasWidth) canvas.style.width = totalCanvasWidth + 'px';
-    canvas.width = cssWidth * dpr;
-    canvas.height = height * dpr;
+// Road snapping: routing adapters share one interface,
+//   match(geoPath) -> geoPath   map-match a rough stroke onto roads
+//   route(waypoints) -> geoPath shortest road path through waypoints
+const OSRM_MAX_POINTS = 100;
 
-    const ctx = canvas.getContext('2d');
-    ctx.scale(dpr, dpr);
-    ctx.fillStyle = '#0d0d15';
-    ctx.fillRect(0, 0, cssWidth, height);
+// Pick at most maxPoints points evenly spaced by index, keeping both ends
+function downsamplePath(geoPath, maxPoints) {
+    if (geoPath.length <= maxPoints) return geoPath;
+    const step = (geoPath.length - 1) / (maxPoints - 1);
+    return Array.from({ length: maxPoints }, (_, i) => geoPath[Math.round(i * step)]);
+}
 
-    const geoPath = pathData.geoPath;
-    const color = pathData.color;
+// Fetch JSON, turning HTTP and network failures into readable errors
+async function fetchJson(url, init) {
+    let response;
+    try {
+        response = await fetch(url, init);
+    } catch (err) {
+        throw new Error('routing server unreachable');
+    }
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+        throw new Error((data && (data.message || data.error)) || `HTTP ${response.status}`);
+    }
+    return data;
+}
 
-    const distances = computeCumulativeDistances(geoPath);
-    const totalDistance = distances[distances.length - 1];
+// OSRM HTTP API (match and route services)
+function createOsrmAdapter(baseUrl, profile) {
+    const base = baseUrl.replace(/\/+$/, '');
+    const coordString = (geoPath) => geoPath.map(([lat, lng]) => `${lng.toFixed(6)},${lat.toFixed(6)}`).join(';');
+    const toGeoPath = (geometries) => geometries.flatMap(g => g.coordinates.map(([lng, lat]) => [lat, lng]));
 
-    // Ribbon dimensions - use viewport width for proportional sizing
-    const padding = 20;
-    const layoutWidth = vpWidth || cssWidth;
-    const maxRibbonWidth = layoutWidth - padding * 2;
-    const ribbonWidth = (totalDistance / maxDistance) * maxRibbonWidth;
-    const effectivePadding = padding + drawOffset;
-    const ribbonHeight = height - 20;
-    const tileSize = 256;
-    
-    // Sample points
-    const numSegments = Math.min(80, Math.max(20, Math.floor(ribbonWidth / 8)));
-    const segmentWidth = Math.ceil(ribbonWidth / numSegments);
-    
-    const samplePoints = [];
-    for (let i = 0; i < numSegments; i++) {
-        const targetDist = (i / (numSegments - 1)) * totalDistance;
-        
-        let segIdx = 0;
-        for (let j = 1; j < distances.length; j++) {
-            if (distances[j] >= targetDist) {
-                segIdx = j - 1;
-                break;
+    return {
+        name: 'OSRM',
+        async match(geoPath) {
+            const points = downsamplePath(geoPath, OSRM_MAX_POINTS);
+            const radiuses = points.map(() => 50).join(';');
+            const data = await fetchJson(`${base}/match/v1/${profile}/${coordString(points)}` +
+                `?geometries=geojson&overview=full&tidy=true&radiuses=${radiuses}`);
+            if (data.code !== 'Ok' || !data.matchings || data.matchings.length === 0) {
+                throw new Error(data.message || 'no match found');
+            }
+            return toGeoPath(data.matchings.map(m => m.geometry));
+        },
+        async route(waypoints) {
+            const data = await fetchJson(`${base}/route/v1/${profile}/${coordString(waypoints)}` +
+                '?geometries=geojson&overview=full');
+            if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
+                throw new Error(data.message || 'no route found');
+            }
+            return toGeoPath([data.routes[0].geometry]);
+        }
+    };
+}
+
+// Valhalla HTTP API (trace_route and route services)
+function createValhallaAdapter(baseUrl, costing) {
+    const base = baseUrl.replace(/\/+$/, '');
+    const post = (service, body) => fetchJson(`${base}/${service}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    // Valhalla encodes shapes with 6 decimal digits
+    const toGeoPath = (trip) => trip.legs.flatMap(leg => decodePolyline(leg.shape, 1e6));
+
+    return {
+        name: 'Valhalla',
+        async match(geoPath) {
+            const data = await post('trace_route', {
+                shape: geoPath.map(([lat, lng]) => ({ lat, lon: lng })),
+                costing,
+                shape_match: 'map_snap'
+            });
+            if (!data.trip) throw new Error('no match found');
+            return toGeoPath(data.trip);
+        },
+        async route(waypoints) {
+            const data = await post('route', {
+                locations: waypoints.map(([lat, lng]) => ({ lat, lon: lng })),
+                costing
+            });
+            if (!data.trip) throw new Error('no route found');
+            return toGeoPath(data.trip);
+        }
+    };
+}
+
+// Road graph built from GeoJSON lines or an OSM XML extract, with a
+// coarse grid index for nearest-node lookups
+const ROAD_GRID_SIZE = 0.002; // degrees
+
+function buildRoadGraph(lines) {
+    const graph = { coords: [], edges: [], grid: new Map() };
+    const nodeIndex = new Map();
+
+    const nodeFor = ([lat, lng]) => {
+        const key = `${lat.toFixed(7)},${lng.toFixed(7)}`;
+        if (!nodeIndex.has(key)) {
+            nodeIndex.set(key, graph.coords.length);
+            graph.coords.push([lat, lng]);
+            graph.edges.push([]);
+            const cell = `${Math.floor(lat / ROAD_GRID_SIZE)},${Math.floor(lng / ROAD_GRID_SIZE)}`;
+            if (!graph.grid.has(cell)) graph.grid.set(cell, []);
+            graph.grid.get(cell).push(nodeIndex.get(key));
+        }
+        return nodeIndex.get(key);
+    };
+
+    for (const line of lines) {
+        for (let i = 1; i < line.length; i++) {
+            const a = nodeFor(line[i - 1]), b = nodeFor(line[i]);
+            if (a === b) continue;
+            const [lat1, lng1] = graph.coords[a], [lat2, lng2] = graph.coords[b];
+            const w = haversine(lat1, lng1, lat2, lng2);
+            graph.edges[a].push([b, w]);
+            graph.edges[b].push([a, w]);
+        }
+    }
+    return graph;
+}
+
+// Road lines from GeoJSON LineString / MultiLineString features
+function roadLinesFromGeoJSON(text) {
+    const json = JSON.parse(text);
+    const features = json.type === 'FeatureCollection' ? json.features : [json];
+    const lines = [];
+    for (const f of features) {
+        const geom = f.geometry || f;
+        const toLatLng = coords => coords.map(([lng, lat]) => [lat, lng]);
+        if (geom.type === 'LineString') lines.push(toLatLng(geom.coordinates));
+        else if (geom.type === 'MultiLineString') geom.coordinates.forEach(c => lines.push(toLatLng(c)));
+    }
+    return lines;
+}
+
+// Road lines from the highway ways of an OSM XML extract
+function roadLinesFromOsm(text) {
+    const doc = parseXml(text);
+    if (doc.documentElement.tagName !== 'osm') throw new Error('not an OSM XML document');
+    const nodes = new Map();
+    for (const node of doc.getElementsByTagName('node')) {
+        nodes.set(node.getAttribute('id'), [parseFloat(node.getAttribute('lat')), parseFloat(node.getAttribute('lon'))]);
+    }
+    const lines = [];
+    for (const way of doc.getElementsByTagName('way')) {
+        const isRoad = [...way.getElementsByTagName('tag')].some(t => t.getAttribute('k') === 'highway');
+        if (!isRoad) continue;
+        const line = [...way.getElementsByTagName('nd')]
+            .map(nd => nodes.get(nd.getAttribute('ref')))
+            .filter(Boolean);
+        if (line.length >= 2) lines.push(line);
+    }
+    return lines;
+}
+
+// Nearest graph node within maxDistance meters, or -1
+function nearestRoadNode(graph, [lat, lng], maxDistance) {
+    const row = Math.floor(lat / ROAD_GRID_SIZE), col = Math.floor(lng / ROAD_GRID_SIZE);
+    let best = -1, bestDist = maxDistance;
+    for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+            for (const idx of graph.grid.get(`${row + dr},${col + dc}`) || []) {
+                const [nLat, nLng] = graph.coords[idx];
+                const d = haversine(lat, lng, nLat, nLng);
+                if (d < bestDist) {
+                    bestDist = d;
+                    best = idx;
+                }
+            }
+        }
+    }
+    return best;
+}
+
+// Binary min-heap of [priority, value] pairs
+function heapPush(heap, item) {
+    heap.push(item);
+    let i = heap.length - 1;
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent][0] <= heap[i][0]) break;
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+    }
+}
+
+function heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+            const l = 2 * i + 1, r = l + 1;
+            let min = i;
+            if (l < heap.length && heap[l][0] < heap[min][0]) min = l;
+            if (r < heap.length && heap[r][0] < heap[min][0]) min = r;
+            if (min === i) break;
+            [heap[min], heap[i]] = [heap[i], heap[min]];
+            i = min;
+        }
+    }
+    return top;
+}
+
+// A* shortest path between two graph nodes; returns node indices or null
+function shortestRoadPath(graph, from, to) {
+    if (from === to) return [from];
+    const [tLat, tLng] = graph.coords[to];
+    const h = (n) => haversine(graph.coords[n][0], graph.coords[n][1], tLat, tLng);
+    const cost = new Map([[from, 0]]);
+    const prev = new Map();
+    const open = [[h(from), from]];
+
+    while (open.length > 0) {
+        const [, node] = heapPop(open);
+        if (node === to) {
+            const route = [to];
+            while (route[0] !== from) route.unshift(prev.get(route[0]));
+            return route;
+        }
+        for (const [next, w] of graph.edges[node]) {
+            const c = cost.get(node) + w;
+            if (c < (cost.has(next) ? cost.get(next) : Infinity)) {
+                cost.set(next, c);
+                prev.set(next, node);
+                heapPush(open, [c + h(next), next]);
+            }
+        }
+    }
+    return null;
+}
+
+// Offline adapter over a locally loaded road network. Matching snaps
+// stroke samples to their nearest road node and routes between them
+function createGraphAdapter(graph) {
+    const SNAP_RADIUS = 100; // meters
+    const SAMPLE_SPACING = 15; // meters
+
+    const routeThrough = (nodes) => {
+        const result = [];
+        for (let i = 0; i < nodes.length; i++) {
+            if (i === 0) {
+                result.push(graph.coords[nodes[0]]);
+                continue;
+            }
+            const leg = shortestRoadPath(graph, nodes[i - 1], nodes[i]);
+            const legNodes = leg ? leg.slice(1) : [nodes[i]]; // unconnected: straight line
+            legNodes.forEach(n => result.push(graph.coords[n]));
+        }
+        return result;
+    };
+
+    return {
+        name: 'Offline',
+        async match(geoPath) {
+            const distances = computeCumulativeDistances(geoPath);
+            const total = distances[distances.length - 1];
+            const nodes = [];
+            for (let d = 0; d <= total; d += SAMPLE_SPACING) {
+                const node = nearestRoadNode(graph, pointAtDistance(geoPath, distances, d), SNAP_RADIUS);
+                if (node !== -1 && node !== nodes[nodes.length - 1]) nodes.push(node);
+            }
+            if (nodes.length < 2) throw new Error('stroke is not near the loaded roads');
+            return routeThrough(nodes);
+        },
+        async route(waypoints) {
+            const nodes = waypoints.map(p => nearestRoadNode(graph, p, SNAP_RADIUS));
+            if (nodes.some(n => n === -1)) throw new Error('waypoint is not near the loaded roads');
+            return routeThrough(nodes);
+        }
+    };
+}
+
+// Interpolated [lat, lng] at a distance along a path
+function pointAtDistance(geoPath, distances, target) {
+    let i = 1;
+    while (i < distances.length - 1 && distances[i] < target) i++;
+    const segLen = distances[i] - distances[i - 1];
+    const t = segLen > 0 ? Math.min(1, Math.max(0, (target - distances[i - 1]) / segLen)) : 0;
+    const [lat1, lng1] = geoPath[i - 1], [lat2, lng2] = geoPath[i];
+    return [lat1 + t * (lat2 - lat1), lng1 + t * (lng2 - lng1)];
+}
+
+// Give a new geometry timestamps by matching distance fractions
+// against the original geometry's timeline
+function retimeByDistance(geoPath, times, newGeoPath) {
+    const oldDist = computeCumulativeDistances(geoPath);
+    const newDist = computeCumulativeDistances(newGeoPath);
+    const oldTotal = oldDist[oldDist.length - 1], newTotal = newDist[newDist.length - 1];
+    let j = 1;
+    return newDist.map(d => {
+        const target = newTotal > 0 ? (d / newTotal) * oldTotal : 0;
+        while (j < oldDist.length - 1 && oldDist[j] < target) j++;
+        const segLen = oldDist[j] - oldDist[j - 1];
+        const t = segLen > 0 ? Math.min(1, Math.max(0, (target - oldDist[j - 1]) / segLen)) : 0;
+        return times[j - 1] + t * (times[j] - times[j - 1]);
+    });
+}
+
+// Adapter for the current routing settings
+function getRoutingAdapter() {
+    const { backend, url, profile } = state.routing;
+    if (backend === 'offline') {
+        if (!state.roadGraph) throw new Error('load a road network first');
+        return createGraphAdapter(state.roadGraph);
+    }
+    if (backend === 'valhalla') return createValhallaAdapter(url, profile);
+    return createOsrmAdapter(url, profile);
+}
+
+// Map-match a geometry; returns { geoPath, times } in the snapped shape
+async function snapGeometry(geoPath, times) {
+    const snapped = await getRoutingAdapter().match(geoPath);
+    if (snapped.length < 2) throw new Error('no match found');
+    return { geoPath: snapped, times: times ? retimeByDistance(geoPath, times, snapped) : null };
+}
+
+// Toggle a path between raw and snapped geometry, snapping on first use
+async function togglePathSnap(id) {
+    const path = state.paths.find(p => p.id === id);
+    if (!path || state.snappingPathIds.has(id)) return;
+
+    if (path.altGeometry) {
+        recordHistory(path.snapped ? 'show raw' : 'show snapped');
+        const current = { geoPath: path.geoPath, times: path.times, attributes: path.attributes };
+        ({ geoPath: path.geoPath, times: path.times, attributes: path.attributes } = path.altGeometry);
+        path.altGeometry = current;
+        path.snapped = !path.snapped;
+        refreshAfterPathChange();
+        elements.status.textContent = `${path.name}: ${path.snapped ? 'snapped' : 'raw'} geometry`;
+        return;
+    }
+
+    elements.status.textContent = `Snapping ${path.name} to roads…`;
+    state.snappingPathIds.add(id);
+    try {
+        const snapped = await snapGeometry(path.geoPath, hasTimes(path) ? path.times : null);
+        // An undo, delete or clear while waiting replaces or drops this path object
+        if (!state.paths.includes(path)) return;
+        recordHistory('snap');
+        path.altGeometry = { geoPath: path.geoPath, times: path.times, attributes: path.attributes };
+        path.geoPath = snapped.geoPath;
+        path.times = snapped.times;
+        path.attributes = {};
+        path.snapped = true;
+        refreshAfterPathChange();
+        elements.status.textContent = `Snapped ${path.name} to roads`;
+    } catch (err) {
+        elements.status.textContent = `Snapping failed: ${err.message}`;
+    } finally {
+        state.snappingPathIds.delete(id);
+    }
+}
+
+// Load a road network file for the offline adapter
+async function loadRoadNetwork(file) {
+    try {
+        const text = await file.text();
+        const lines = /\.osm$/i.test(file.name) || text.trimStart().startsWith('<')
+            ? roadLinesFromOsm(text)
+            : roadLinesFromGeoJSON(text);
+        if (lines.length === 0) throw new Error('no road lines found');
+        state.roadGraph = buildRoadGraph(lines);
+        elements.routingNetworkInfo.textContent =
+            `${file.name}: ${lines.length} roads, ${state.roadGraph.coords.length} nodes`;
+        elements.status.textContent = 'Road network loaded';
+    } catch (err) {
+        elements.status.textContent = `Could not load road network: ${err.message}`;
+    }
+}
+
+function setSnapMode(active) {
+    state.snapToRoads = active;
+    elements.snapBtn.classList.toggle('active', active);
+}
+
+// Apply the routing settings form to state
+function updateRoutingSettings() {
+    const backend = elements.routingBackend.value;
+    if (backend !== state.routing.backend) {
+        const defaults = ROUTING_DEFAULTS[backend];
+        elements.routingUrl.value = defaults.url;
+        elements.routingProfile.value = defaults.profile;
+    }
+    state.routing = {
+        backend,
+        url: elements.routingUrl.value.trim(),
+        profile: elements.routingProfile.value.trim()
+    };
+    elements.routingHttpFields.hidden = backend === 'offline';
+    elements.routingOfflineFields.hidden = backend !== 'offline';
+    scheduleAutosave();
+}
+
+function syncRoutingForm() {
+    elements.routingBackend.value = state.routing.backend;
+    elements.routingUrl.value = state.routing.url;
+    elements.routingProfile.value = state.routing.profile;
+    elements.routingHttpFields.hidden = state.routing.backend === 'offline';
+    elements.routingOfflineFields.hidden = state.routing.backend !== 'offline';
+}
+
+// Update stats display
+function updateStats() {
+    elements.statPoints.textContent = state.currentPath.length;
+    elements.statDistance.textContent = Math.round(calculateDistanceForPath(state.currentGeoPath));
+}
+
+// Update unroll button state
+function updateUnrollButton() {
+    elements.unrollBtn.disabled = state.paths.length === 0;
+}
+
+// Time mode is only available when every path has timestamps
+function updateAlignModeToggle() {
+    const timeAvailable = state.paths.length > 0 && state.paths.every(hasTimes);
+    elements.alignTimeInput.disabled = !timeAvailable;
+    if (!timeAvailable && state.alignMode === 'time') {
+        state.alignMode = 'space';
+    }
+    elements.alignModeInputs.forEach(input => {
+        input.checked = input.value === state.alignMode;
+    });
+}
+
+// Switch the ribbon x-axis between distance and elapsed time
+async function setAlignMode(mode) {
+    if (mode === state.alignMode) return;
+    if (mode === 'time' && !state.paths.every(hasTimes)) return;
+    recordHistory('axis change');
+    state.alignMode = mode;
+    if (state.alignment && state.alignment.pairs) state.alignment = { ...state.alignment, pairs: [] };
+    state.pendingAlignPoint = null;
+    state.ribbonView = null;
+    scheduleAutosave();
+    if (state.view === 'ribbon') await renderAllRibbons();
+}
+
+// Switch between the continuous mesh renderer and the strip fallback
+async function setRibbonRenderer(renderer) {
+    if (renderer === state.ribbonRenderer) return;
+    state.ribbonRenderer = renderer;
+    elements.rendererInputs.forEach(input => {
+        input.checked = input.value === renderer;
+    });
+    scheduleAutosave();
+    if (state.view === 'ribbon') await renderAllRibbons();
+}
+
+// Switch between ribbons drawn to scale and ribbons stretched to the full
+// width (positions read as a share of each route)
+const RIBBON_SCALINGS = ['proportional', 'normalized'];
+
+async function setRibbonScaling(scaling) {
+    if (scaling === state.ribbonScaling || !RIBBON_SCALINGS.includes(scaling)) return;
+    state.ribbonScaling = scaling;
+    state.ribbonView = null;
+    elements.scalingInputs.forEach(input => {
+        input.checked = input.value === scaling;
+    });
+    scheduleAutosave();
+    if (state.view === 'ribbon') await renderAllRibbons();
+}
+
+// Choose how rows are aligned to the anchor ribbon
+const ALIGN_METHODS = ['shift', 'crossings', 'proximity'];
+
+async function setAlignMethod(method) {
+    if (method === state.alignMethod || !ALIGN_METHODS.includes(method)) return;
+    state.alignMethod = method;
+    elements.alignMethodSelect.value = method;
+    scheduleAutosave();
+    if (state.view === 'ribbon' && state.alignment) {
+        state.ribbonView = null;
+        await renderAllRibbons();
+    }
+}
+
+// Track import: each parser returns [{ name, geoPath, times, attributes }]
+
+// Parse an XML document, throwing on malformed input
+function parseXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('not well-formed XML');
+    }
+    return doc;
+}
+
+// Text content of the first direct child with the given tag name
+function childText(el, tagName) {
+    for (const child of el.children) {
+        if (child.tagName === tagName) return child.textContent.trim();
+    }
+    return null;
+}
+
+// Build a track from parallel point/time/elevation lists, dropping
+// timestamps or elevations unless every point has one. extra holds more
+// per-point attributes by name, kept on the same terms.
+function buildTrack(name, points, times, elevations, extra = {}) {
+    const track = { name, geoPath: points, times: null, attributes: {} };
+    if (times.length === points.length && times.every(t => Number.isFinite(t))) {
+        track.times = times;
+    }
+    if (elevations.length === points.length && elevations.every(e => Number.isFinite(e))) {
+        track.attributes.elevation = elevations;
+    }
+    for (const [key, values] of Object.entries(extra)) {
+        const list = Array.from(values); // holes become undefined
+        if (list.length === points.length && list.every(v => Number.isFinite(v))) {
+            track.attributes[key] = list;
+        }
+    }
+    return track;
+}
+
+// Sensor values in GPX <extensions> (Garmin TrackPointExtension and
+// similar), by element name
+const GPX_EXTENSION_KEYS = {
+    hr: 'heartRate', heartrate: 'heartRate',
+    cad: 'cadence', cadence: 'cadence',
+    power: 'power', watts: 'power',
+    atemp: 'temperature', temp: 'temperature'
+};
+
+// GPX: one track per <trk> (segments concatenated) and per <rte>
+function parseGPX(text) {
+    const doc = parseXml(text);
+    if (doc.documentElement.tagName !== 'gpx') throw new Error('not a GPX document');
+
+    const metadata = doc.getElementsByTagName('metadata')[0];
+    const fileName = metadata ? childText(metadata, 'name') : null;
+    const tracks = [];
+
+    const readPoints = (pointEls) => {
+        const points = [], times = [], elevations = [], extra = {};
+        for (const pt of pointEls) {
+            const lat = parseFloat(pt.getAttribute('lat'));
+            const lng = parseFloat(pt.getAttribute('lon'));
+            if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+            points.push([lat, lng]);
+            const time = childText(pt, 'time');
+            if (time) times.push(Date.parse(time));
+            const ele = childText(pt, 'ele');
+            if (ele) elevations.push(parseFloat(ele));
+            const extensions = pt.getElementsByTagName('extensions')[0];
+            if (!extensions) continue;
+            for (const el of extensions.getElementsByTagName('*')) {
+                const key = GPX_EXTENSION_KEYS[el.localName.toLowerCase()];
+                const value = parseFloat(el.textContent);
+                if (key && el.children.length === 0 && Number.isFinite(value)) {
+                    (extra[key] = extra[key] || [])[points.length - 1] = value;
+                }
+            }
+        }
+        return { points, times, elevations, extra };
+    };
+
+    const trks = [...doc.getElementsByTagName('trk'), ...doc.getElementsByTagName('rte')];
+    trks.forEach((trk, i) => {
+        const pointTag = trk.tagName === 'trk' ? 'trkpt' : 'rtept';
+        const { points, times, elevations, extra } = readPoints(trk.getElementsByTagName(pointTag));
+        const name = childText(trk, 'name') ||
+            (fileName ? (trks.length > 1 ? `${fileName} ${i + 1}` : fileName) : null);
+        tracks.push(buildTrack(name, points, times, elevations, extra));
+    });
+    return tracks;
+}
+
+// GeoJSON: one track per LineString / MultiLineString (parts concatenated)
+function parseGeoJSON(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (err) {
+        throw new Error('not valid JSON');
+    }
+
+    let features;
+    if (json.type === 'FeatureCollection') features = json.features || [];
+    else if (json.type === 'Feature') features = [json];
+    else if (json.type && json.coordinates) features = [{ type: 'Feature', geometry: json, properties: {} }];
+    else throw new Error('not a GeoJSON object');
+
+    const tracks = [];
+    for (const feature of features) {
+        const geom = feature.geometry;
+        if (!geom) continue;
+        let lines;
+        if (geom.type === 'LineString') lines = [geom.coordinates];
+        else if (geom.type === 'MultiLineString') lines = geom.coordinates;
+        else continue;
+
+        const props = feature.properties || {};
+        // coordTimes is the per-vertex timestamp convention used by togeojson
+        const coordTimes = (props.coordTimes || props.times || []).flat();
+        const points = [], times = [], elevations = [];
+        let k = 0;
+        for (const line of lines) {
+            for (const coord of line) {
+                const [lng, lat, ele] = coord;
+                if (Number.isFinite(lat) && Number.isFinite(lng)) {
+                    points.push([lat, lng]);
+                    if (coordTimes[k] != null) times.push(new Date(coordTimes[k]).getTime());
+                    if (ele != null) elevations.push(ele);
+                }
+                k++;
+            }
+        }
+        const track = buildTrack(props.name || props.title || null, points, times, elevations);
+        const color = props.color || props.stroke;
+        if (isHexColor(color)) track.color = color;
+        tracks.push(track);
+    }
+    return tracks;
+}
+
+// KML: one track per Placemark with LineString geometry or a gx:Track
+function parseKML(text) {
+    const doc = parseXml(text);
+    if (doc.documentElement.tagName !== 'kml') throw new Error('not a KML document');
+
+    const tracks = [];
+    for (const placemark of doc.getElementsByTagName('Placemark')) {
+        const name = childText(placemark, 'name');
+        const points = [], times = [], elevations = [];
+
+        for (const ls of placemark.getElementsByTagName('LineString')) {
+            const coordEl = ls.getElementsByTagName('coordinates')[0];
+            if (!coordEl) continue;
+            for (const tuple of coordEl.textContent.trim().split(/\s+/)) {
+                const [lng, lat, ele] = tuple.split(',').map(parseFloat);
+                if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+                points.push([lat, lng]);
+                if (Number.isFinite(ele)) elevations.push(ele);
+            }
+        }
+
+        const whens = placemark.getElementsByTagName('when');
+        const coords = placemark.getElementsByTagName('gx:coord');
+        for (let i = 0; i < coords.length; i++) {
+            const [lng, lat, ele] = coords[i].textContent.trim().split(/\s+/).map(parseFloat);
+            if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+            points.push([lat, lng]);
+            if (whens[i]) times.push(Date.parse(whens[i].textContent.trim()));
+            if (Number.isFinite(ele)) elevations.push(ele);
+        }
+
+        if (points.length > 0) tracks.push(buildTrack(name, points, times, elevations));
+    }
+    return tracks;
+}
+
+// Well-known CSV column names for attributes; other numeric columns keep
+// their header as the attribute name
+const CSV_COLUMN_KEYS = {
+    ele: 'elevation', elevation: 'elevation', alt: 'elevation', altitude: 'elevation',
+    hr: 'heartRate', heartrate: 'heartRate', heart_rate: 'heartRate',
+    cad: 'cadence', cadence: 'cadence',
+    power: 'power', watts: 'power',
+    temp: 'temperature', temperature: 'temperature', atemp: 'temperature'
+};
+
+// Fields of one CSV line, honouring double-quoted fields
+function splitCsvLine(line, delimiter) {
+    const fields = [];
+    let field = '', quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+// Timestamps as ISO dates or epoch seconds / milliseconds
+function parseCsvTime(value) {
+    if (/^\d+(\.\d+)?$/.test(value)) {
+        const number = parseFloat(value);
+        return number < 1e11 ? number * 1000 : number;
+    }
+    return Date.parse(value);
+}
+
+// CSV: one track from latitude/longitude columns; a time column gives
+// timestamps and every numeric column with a value on each row becomes
+// an attribute
+function parseCSV(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    if (lines.length < 2) throw new Error('no data rows');
+    const delimiter = [';', '\t'].reduce((best, d) =>
+        lines[0].split(d).length > lines[0].split(best).length ? d : best, ',');
+    const header = splitCsvLine(lines[0], delimiter);
+    const find = names => header.findIndex(h => names.includes(h.toLowerCase()));
+    const latCol = find(['lat', 'latitude']);
+    const lngCol = find(['lon', 'lng', 'long', 'longitude']);
+    if (latCol < 0 || lngCol < 0) throw new Error('no latitude/longitude columns');
+    const timeCol = find(['time', 'timestamp', 'datetime', 'date']);
+
+    const rows = lines.slice(1)
+        .map(line => splitCsvLine(line, delimiter))
+        .filter(row => Number.isFinite(parseFloat(row[latCol])) && Number.isFinite(parseFloat(row[lngCol])));
+    const points = rows.map(row => [parseFloat(row[latCol]), parseFloat(row[lngCol])]);
+    const times = timeCol < 0 ? [] : rows.map(row => parseCsvTime(row[timeCol]));
+
+    const columns = {};
+    header.forEach((name, col) => {
+        if (!name || col === latCol || col === lngCol || col === timeCol) return;
+        columns[CSV_COLUMN_KEYS[name.toLowerCase()] || name] =
+            rows.map(row => (row[col] ? Number(row[col]) : NaN));
+    });
+    const { elevation = [], ...extra } = columns;
+    return [buildTrack(null, points, times, elevation, extra)];
+}
+
+// Pick a parser from the file extension, falling back to sniffing content
+function parseTrackFile(fileName, text) {
+    const ext = fileName.split('.').pop().toLowerCase();
+    if (ext === 'gpx') return parseGPX(text);
+    if (ext === 'kml') return parseKML(text);
+    if (ext === 'csv') return parseCSV(text);
+    if (ext === 'geojson' || ext === 'json') return parseGeoJSON(text);
+
+    const head = text.trimStart().slice(0, 200);
+    if (head.startsWith('{')) return parseGeoJSON(text);
+    if (head.includes('<gpx')) return parseGPX(text);
+    if (head.includes('<kml')) return parseKML(text);
+    throw new Error('unsupported file type');
+}
+
+// Import track files as paths
+async function importFiles(files) {
+    const parsed = [];
+    const notes = [];
+    const errors = [];
+
+    for (const file of files) {
+        const baseName = file.name.replace(/\.[^.]+$/, '');
+        try {
+            const text = await file.text();
+            const tracks = parseTrackFile(file.name, text)
+                .filter(track => track.geoPath.length >= 2);
+            // GeoJSON point layers become annotations
+            const points = text.trimStart().startsWith('{') ? parseGeoJSONPoints(text) : [];
+            if (tracks.length === 0 && points.length === 0) throw new Error('no tracks found');
+            notes.push(...points);
+            tracks.forEach((track, i) => {
+                parsed.push({
+                    ...track,
+                    name: track.name || (tracks.length > 1 ? `${baseName} ${i + 1}` : baseName)
+                });
+            });
+        } catch (err) {
+            errors.push(`${file.name}: ${err.message}`);
+        }
+    }
+
+    if (parsed.length > 0 || notes.length > 0) recordHistory('import');
+    const imported = parsed.map(track => addPath(track));
+    for (const note of notes) state.annotations.push({ id: state.nextAnnotationId++, ...note });
+
+    if (imported.length > 0 || notes.length > 0) {
+        updatePathList();
+        updateUnrollButton();
+        updateAlignModeToggle();
+        refreshAnnotations();
+        const bounds = L.latLngBounds([
+            ...imported.flatMap(p => p.geoPath),
+            ...notes.map(note => [note.lat, note.lng])
+        ]);
+        state.map.fitBounds(bounds, { padding: [50, 50] });
+        scheduleAutosave();
+    }
+
+    let summary = `Imported ${imported.length} path${imported.length === 1 ? '' : 's'}`;
+    if (notes.length > 0) summary += ` and ${notes.length} note${notes.length === 1 ? '' : 's'}`;
+    if (errors.length > 0) {
+        elements.status.textContent = imported.length > 0 || notes.length > 0
+            ? `${summary}; failed ${errors.join('; ')}`
+            : `Import failed: ${errors.join('; ')}`;
+    } else {
+        elements.status.textContent = summary;
+    }
+}
+
+// Escape text for inclusion in XML or HTML markup
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Offer a string as a file download
+function downloadFile(fileName, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Export paths as a GeoJSON FeatureCollection, optionally with crossing points
+function pathsToGeoJSON(paths, includeCrossings) {
+    const features = paths.map(path => {
+        const elevation = path.attributes && path.attributes.elevation;
+        const properties = {
+            name: path.name,
+            color: path.color,
+            stroke: path.color,
+            distance: Math.round(path.distance * 10) / 10
+        };
+        if (hasTimes(path)) {
+            properties.coordTimes = path.times.map(t => new Date(t).toISOString());
+        }
+        return {
+            type: 'Feature',
+            properties,
+            geometry: {
+                type: 'LineString',
+                coordinates: path.geoPath.map(([lat, lng], i) =>
+                    elevation ? [lng, lat, elevation[i]] : [lng, lat])
+            }
+        };
+    });
+
+    if (includeCrossings) {
+        const names = Object.fromEntries(paths.map(p => [p.id, p.name]));
+        for (const c of uniqueCrossings(computeAllCrossings(paths))) {
+            const pathIds = [...c.pathIds];
+            features.push({
+                type: 'Feature',
+                properties: {
+                    type: 'crossing',
+                    paths: pathIds.map(id => names[id]),
+                    selfCrossing: pathIds.length === 1
+                },
+                geometry: { type: 'Point', coordinates: [c.lng, c.lat] }
+            });
+        }
+    }
+
+    for (const note of state.annotations) {
+        features.push({
+            type: 'Feature',
+            properties: { type: 'annotation', name: note.text, icon: note.icon },
+            geometry: { type: 'Point', coordinates: [note.lng, note.lat] }
+        });
+    }
+
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+// Export paths as GPX tracks, optionally with crossing waypoints
+function pathsToGPX(paths, includeCrossings) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="TimeRibbons" xmlns="http://www.topografix.com/GPX/1/1">'
+    ];
+
+    // GPX requires waypoints before tracks
+    if (includeCrossings) {
+        const names = Object.fromEntries(paths.map(p => [p.id, p.name]));
+        for (const c of uniqueCrossings(computeAllCrossings(paths))) {
+            const label = [...c.pathIds].map(id => names[id]).join(' × ');
+            lines.push(`  <wpt lat="${c.lat}" lon="${c.lng}">`);
+            lines.push(`    <name>${escapeXml(label)}</name>`);
+            lines.push('    <type>crossing</type>');
+            lines.push('  </wpt>');
+        }
+    }
+    for (const note of state.annotations) {
+        lines.push(`  <wpt lat="${note.lat}" lon="${note.lng}">`);
+        lines.push(`    <name>${escapeXml(note.text)}</name>`);
+        lines.push(`    <sym>${escapeXml(note.icon)}</sym>`);
+        lines.push('    <type>annotation</type>');
+        lines.push('  </wpt>');
+    }
+
+    for (const path of paths) {
+        const elevation = path.attributes && path.attributes.elevation;
+        const times = hasTimes(path) ? path.times : null;
+        lines.push('  <trk>');
+        lines.push(`    <name>${escapeXml(path.name)}</name>`);
+        lines.push('    <trkseg>');
+        path.geoPath.forEach(([lat, lng], i) => {
+            let children = '';
+            if (elevation) children += `<ele>${elevation[i]}</ele>`;
+            if (times) children += `<time>${new Date(times[i]).toISOString()}</time>`;
+            lines.push(`      <trkpt lat="${lat}" lon="${lng}">${children}</trkpt>`);
+        });
+        lines.push('    </trkseg>');
+        lines.push('  </trk>');
+    }
+
+    lines.push('</gpx>');
+    return lines.join('\n');
+}
+
+// Export all paths in the chosen format
+function exportPaths(format) {
+    if (state.paths.length === 0 && state.annotations.length === 0) {
+        elements.status.textContent = 'Nothing to export';
+        return;
+    }
+    const includeCrossings = elements.exportCrossings.checked;
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === 'gpx') {
+        downloadFile(`time-ribbons-${stamp}.gpx`, pathsToGPX(state.paths, includeCrossings), 'application/gpx+xml');
+    } else {
+        downloadFile(`time-ribbons-${stamp}.geojson`, pathsToGeoJSON(state.paths, includeCrossings), 'application/geo+json');
+    }
+    elements.exportMenu.hidden = true;
+    elements.status.textContent = `Exported ${state.paths.length} path${state.paths.length === 1 ? '' : 's'}`;
+}
+
+// Workspace persistence (IndexedDB): the current workspace is auto-saved
+// under a single key, named sessions live in their own store
+const DB_NAME = 'time-ribbons';
+const DB_VERSION = 2;
+const AUTOSAVE_KEY = 'autosave';
+let dbPromise = null;
+let autosaveTimer = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('workspace')) db.createObjectStore('workspace');
+                if (!db.objectStoreNames.contains('sessions')) db.createObjectStore('sessions');
+                if (!db.objectStoreNames.contains(PROVIDER_STORE)) db.createObjectStore(PROVIDER_STORE);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+// Run a single request against an object store
+async function dbRequest(storeName, mode, makeRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = makeRequest(tx.objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+const dbGet = (store, key) => dbRequest(store, 'readonly', s => s.get(key));
+const dbPut = (store, key, value) => dbRequest(store, 'readwrite', s => s.put(value, key));
+const dbDelete = (store, key) => dbRequest(store, 'readwrite', s => s.delete(key));
+const dbGetAll = (store) => dbRequest(store, 'readonly', s => s.getAll());
+
+// Plain-data snapshot of everything needed to rebuild the workspace
+function serializeWorkspace() {
+    const center = state.map.getCenter();
+    return {
+        version: 1,
+        paths: state.paths.map(p => ({
+            id: p.id,
+            name: p.name,
+            color: p.color,
+            geoPath: p.geoPath,
+            times: p.times,
+            attributes: p.attributes,
+            snapped: p.snapped,
+            altGeometry: p.altGeometry,
+            corridorWidth: p.corridorWidth,
+            group: p.group,
+            hidden: p.hidden
+        })),
+        nextPathId: state.nextPathId,
+        pathGroups: state.pathGroups,
+        tileProvider: state.tileProvider,
+        routing: state.routing,
+        mapView: { center: [center.lat, center.lng], zoom: state.map.getZoom() },
+        view: state.view,
+        splitView: state.splitView,
+        alignMode: state.alignMode,
+        alignment: state.alignment,
+        ribbonRenderer: state.ribbonRenderer,
+        ribbonScaling: state.ribbonScaling,
+        alignMethod: state.alignMethod,
+        corridorWidth: state.corridorWidth,
+        overlapTolerance: state.overlapTolerance,
+        ribbonTracks: state.ribbonTracks,
+        annotations: state.annotations,
+        nextAnnotationId: state.nextAnnotationId,
+        annotationDistance: state.annotationDistance,
+        turnThreshold: state.turnThreshold
+    };
+}
+
+// Replace the current workspace with a serialized one
+async function restoreWorkspace(data) {
+    clearAllPaths(false);
+
+    for (const p of data.paths || []) {
+        if (!Array.isArray(p.geoPath) || p.geoPath.length < 2) continue;
+        addPath({
+            id: p.id,
+            geoPath: p.geoPath,
+            times: p.times || null,
+            name: p.name,
+            color: p.color,
+            attributes: p.attributes || {},
+            snapped: !!p.snapped,
+            altGeometry: p.altGeometry || null,
+            corridorWidth: p.corridorWidth ? clampCorridor(p.corridorWidth) : null,
+            group: p.group || null,
+            hidden: !!p.hidden
+        });
+    }
+    const maxId = Math.max(0, ...state.paths.map(p => p.id));
+    state.nextPathId = Math.max(data.nextPathId || 1, maxId + 1);
+    state.pathGroups = (data.pathGroups || [])
+        .filter(g => g && g.name)
+        .map(g => ({ name: String(g.name), collapsed: !!g.collapsed }));
+    normalizePathGroups();
+
+    state.annotations = (data.annotations || [])
+        .filter(note => Number.isFinite(note.lat) && Number.isFinite(note.lng))
+        .map((note, i) => ({ id: note.id || i + 1, lat: note.lat, lng: note.lng, text: note.text || 'Note', icon: note.icon }));
+    const maxNoteId = Math.max(0, ...state.annotations.map(note => note.id));
+    state.nextAnnotationId = Math.max(data.nextAnnotationId || 1, maxNoteId + 1);
+    state.annotationDistance = data.annotationDistance ? clampAnnotationDistance(data.annotationDistance) : 50;
+    state.turnThreshold = clampTurnThreshold(data.turnThreshold);
+    elements.statsTurnInput.value = state.turnThreshold;
+    elements.annotationDistanceInput.value = state.annotationDistance;
+    updateAnnotationMarkers();
+    updateAnnotationList();
+
+    if (data.tileProvider && tileProviders[data.tileProvider]) {
+        changeTileProvider(data.tileProvider);
+        elements.tileSelect.value = state.tileProvider;
+    }
+    if (data.mapView) {
+        state.map.setView(data.mapView.center, data.mapView.zoom);
+    }
+    if (data.routing && ROUTING_DEFAULTS[data.routing.backend]) {
+        state.routing = { ...data.routing };
+        syncRoutingForm();
+    }
+
+    state.splitView = !!data.splitView;
+    state.alignMode = data.alignMode || 'space';
+    state.alignment = data.alignment || null;
+    state.ribbonRenderer = data.ribbonRenderer || 'mesh';
+    state.ribbonScaling = RIBBON_SCALINGS.includes(data.ribbonScaling) ? data.ribbonScaling : 'proportional';
+    state.alignMethod = ALIGN_METHODS.includes(data.alignMethod) ? data.alignMethod : 'shift';
+    elements.alignMethodSelect.value = state.alignMethod;
+    state.corridorWidth = data.corridorWidth ? clampCorridor(data.corridorWidth) : 250;
+    elements.corridorInput.value = state.corridorWidth;
+    state.overlapTolerance = data.overlapTolerance ? clampOverlapTolerance(data.overlapTolerance) : 25;
+    elements.overlapInput.value = state.overlapTolerance;
+    state.ribbonTracks = Array.isArray(data.ribbonTracks)
+        ? data.ribbonTracks.filter(t => t && TRACK_STYLES[t.style] && t.style !== 'off')
+        : [];
+    elements.rendererInputs.forEach(input => {
+        input.checked = input.value === state.ribbonRenderer;
+    });
+    elements.scalingInputs.forEach(input => {
+        input.checked = input.value === state.ribbonScaling;
+    });
+    updatePathList();
+    updateUnrollButton();
+    updateAlignModeToggle();
+
+    if (data.view === 'ribbon' && state.paths.length > 0) {
+        await showRibbon();
+    } else {
+        if (state.paths.length > 0) updateMapAnalysis();
+        showMap();
+    }
+}
+
+// Debounced auto-save of the current workspace
+function scheduleAutosave() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(async () => {
+        try {
+            await dbPut('workspace', AUTOSAVE_KEY, serializeWorkspace());
+        } catch (err) {
+            elements.status.textContent = `Auto-save failed: ${err.message}`;
+        }
+    }, 500);
+}
+
+// Restore the auto-saved workspace on startup
+async function restoreAutosave() {
+    try {
+        const data = await dbGet('workspace', AUTOSAVE_KEY);
+        if (data) {
+            await restoreWorkspace(data);
+            if (state.paths.length > 0) elements.status.textContent = 'Restored workspace';
+        }
+    } catch (err) {
+        elements.status.textContent = `Could not restore workspace: ${err.message}`;
+    }
+}
+
+// Keep the current workspace as a session before a shared link replaces
+// it; returns the session name, or null if it could not be stored
+async function backupWorkspace() {
+    const name = `Before shared link ${new Date().toLocaleString()}`;
+    try {
+        await dbPut('sessions', name, { name, savedAt: Date.now(), workspace: serializeWorkspace() });
+        return name;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Save the current workspace as a named session
+async function saveSession(name) {
+    name = name.trim();
+    if (!name) {
+        elements.status.textContent = 'Enter a session name';
+        return;
+    }
+    try {
+        await dbPut('sessions', name, { name, savedAt: Date.now(), workspace: serializeWorkspace() });
+        elements.sessionName.value = '';
+        elements.status.textContent = `Saved session "${name}"`;
+        await updateSessionList();
+    } catch (err) {
+        elements.status.textContent = `Could not save session: ${err.message}`;
+    }
+}
+
+async function loadSession(name) {
+    try {
+        const session = await dbGet('sessions', name);
+        if (!session) throw new Error('not found');
+        recordHistory('load session');
+        await restoreWorkspace(session.workspace);
+        elements.sessionMenu.hidden = true;
+        elements.status.textContent = `Loaded session "${name}"`;
+    } catch (err) {
+        elements.status.textContent = `Could not load session: ${err.message}`;
+    }
+}
+
+async function deleteSession(name) {
+    try {
+        await dbDelete('sessions', name);
+        elements.status.textContent = `Deleted session "${name}"`;
+        await updateSessionList();
+    } catch (err) {
+        elements.status.textContent = `Could not delete session: ${err.message}`;
+    }
+}
+
+// Rebuild the named session list in the session menu
+async function updateSessionList() {
+    let sessions = [];
+    try {
+        sessions = await dbGetAll('sessions');
+    } catch (err) {
+        elements.status.textContent = `Could not list sessions: ${err.message}`;
+    }
+    sessions.sort((a, b) => b.savedAt - a.savedAt);
+
+    elements.sessionList.innerHTML = '';
+    if (sessions.length === 0) {
+        elements.sessionList.innerHTML = '<div class="session-empty">No saved sessions</div>';
+        return;
+    }
+
+    for (const session of sessions) {
+        const item = document.createElement('div');
+        item.className = 'session-item';
+        item.innerHTML = `
+            <div class="session-info">
+                <div class="session-name">${escapeXml(session.name)}</div>
+                <div class="path-meta">${session.workspace.paths.length} paths · ${new Date(session.savedAt).toLocaleDateString()}</div>
+            </div>
+            <button class="path-delete" title="Delete session">✕</button>
+        `;
+        item.querySelector('.path-delete').addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteSession(session.name);
+        });
+        item.addEventListener('click', () => loadSession(session.name));
+        elements.sessionList.appendChild(item);
+    }
+}
+
+// Annotations: labeled points (bus stops, traffic lights, incidents)
+// shown on the map and pinned onto the ribbon of every path passing
+// within state.annotationDistance
+const ANNOTATION_ICONS = {
+    pin: '📍', bus: '🚌', light: '🚦', warning: '⚠️', camera: '📷', flag: '🚩', info: 'ℹ️'
+};
+const ANNOTATION_DISTANCE_MIN = 1;
+const ANNOTATION_DISTANCE_MAX = 1000;
+
+function clampAnnotationDistance(meters) {
+    const value = Number(meters);
+    if (!isFinite(value) || value <= 0) return 50;
+    return Math.min(ANNOTATION_DISTANCE_MAX, Math.max(ANNOTATION_DISTANCE_MIN, Math.round(value)));
+}
+
+function annotationIcon(icon) {
+    return ANNOTATION_ICONS[icon] || ANNOTATION_ICONS.pin;
+}
+
+// Nearest point of a path to a location: separation in meters and the
+// position along the path as fractions, like a crossing's
+function projectOntoPath(path, lat, lng) {
+    const project = localProjection(lat);
+    const p = project(lat, lng);
+    const points = path.geoPath.map(([a, b]) => project(a, b));
+    let best = { distance: Infinity, index: 0, t: 0 };
+    for (let i = 0; i < points.length - 1; i++) {
+        const a = points[i], b = points[i + 1];
+        const dx = b.x - a.x, dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+        const distance = Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+        if (distance < best.distance) best = { distance, index: i, t };
+    }
+
+    const { distance, index: i, t } = best;
+    const distances = computeCumulativeDistances(path.geoPath);
+    const total = distances[distances.length - 1];
+    const along = distances[i] + t * (distances[i + 1] - distances[i]);
+    let timeFraction = null;
+    if (hasTimes(path)) {
+        const duration = pathDuration(path);
+        const time = path.times[i] + t * (path.times[i + 1] - path.times[i]) - path.times[0];
+        timeFraction = duration > 0 ? time / duration : 0;
+    }
+    return { distance, distFraction: total > 0 ? along / total : 0, timeFraction };
+}
+
+// Annotations close enough to a path, positioned along it
+function pathAnnotations(path) {
+    return state.annotations
+        .map(note => ({ ...note, ...projectOntoPath(path, note.lat, note.lng) }))
+        .filter(note => note.distance <= state.annotationDistance);
+}
+
+// Add an annotation with the icon and text chosen in the notes menu
+function addAnnotation(lat, lng, text = elements.annotationText.value, icon = elements.annotationIcon.value) {
+    recordHistory('annotation');
+    state.annotations.push({
+        id: state.nextAnnotationId++,
+        lat,
+        lng,
+        text: text.trim() || 'Note',
+        icon: ANNOTATION_ICONS[icon] ? icon : 'pin'
+    });
+    refreshAnnotations();
+    elements.status.textContent = 'Note added';
+}
+
+function updateAnnotation(id, changes) {
+    const note = state.annotations.find(a => a.id === id);
+    if (!note) return;
+    recordHistory('annotation edit');
+    Object.assign(note, changes);
+    refreshAnnotations();
+}
+
+function deleteAnnotation(id) {
+    recordHistory('annotation delete');
+    state.annotations = state.annotations.filter(a => a.id !== id);
+    refreshAnnotations();
+}
+
+// Redraw annotations everywhere after a change
+function refreshAnnotations() {
+    updateAnnotationMarkers();
+    updateAnnotationList();
+    updateRibbonAnnotations();
+    scheduleAutosave();
+}
+
+// Re-project annotations onto the ribbons on screen
+function updateRibbonAnnotations() {
+    if (state.view !== 'ribbon' || !state.ribbonView) return;
+    for (const meta of state.ribbonMeta) {
+        const path = state.paths.find(p => p.id === meta.pathId);
+        meta.annotations = path ? pathAnnotations(path) : [];
+    }
+    drawRibbonOverlays();
+}
+
+// Draggable map markers, one per annotation
+function updateAnnotationMarkers() {
+    state.annotationMarkers.forEach(marker => state.map.removeLayer(marker));
+    state.annotationMarkers = state.annotations.map(note => {
+        const marker = L.marker([note.lat, note.lng], {
+            draggable: true,
+            title: note.text,
+            icon: L.divIcon({
+                className: 'annotation-marker',
+                html: `<span class="annotation-icon">${annotationIcon(note.icon)}</span>` +
+                    `<span class="annotation-label">${escapeXml(note.text)}</span>`,
+                iconSize: null,
+                iconAnchor: [10, 10]
+            })
+        }).addTo(state.map);
+        marker.on('dragend', (e) => {
+            const { lat, lng } = e.target.getLatLng();
+            updateAnnotation(note.id, { lat, lng });
+        });
+        return marker;
+    });
+}
+
+// Notes menu list: icon, editable text and delete button per annotation
+function updateAnnotationList() {
+    elements.annotationList.innerHTML = '';
+    if (state.annotations.length === 0) {
+        elements.annotationList.innerHTML = '<div class="session-empty">No notes yet</div>';
+        return;
+    }
+    for (const note of state.annotations) {
+        const item = document.createElement('div');
+        item.className = 'session-item';
+        item.innerHTML = `
+            <span class="annotation-icon">${annotationIcon(note.icon)}</span>
+            <input type="text" class="session-input" value="${escapeXml(note.text)}">
+            <button class="path-delete" title="Delete note">✕</button>
+        `;
+        item.querySelector('input').addEventListener('change', (e) => {
+            updateAnnotation(note.id, { text: e.target.value.trim() || 'Note' });
+        });
+        item.querySelector('.path-delete').addEventListener('click', () => deleteAnnotation(note.id));
+        item.querySelector('.annotation-icon').addEventListener('click', () => {
+            state.map.panTo([note.lat, note.lng]);
+        });
+        elements.annotationList.appendChild(item);
+    }
+}
+
+// While on, map clicks place annotations
+function setAnnotationMode(active) {
+    if (active && state.drawMode) setDrawMode(false);
+    state.annotationMode = active;
+    elements.annotationPlaceBtn.classList.toggle('active', active);
+    elements.mapContainer.classList.toggle('placing-annotation', active);
+    elements.status.textContent = active ? 'Click the map to place a note' : 'Navigate map';
+}
+
+function handleAnnotationClick(e) {
+    if (!state.annotationMode) return;
+    addAnnotation(e.latlng.lat, e.latlng.lng);
+}
+
+// Distance within which a path picks up an annotation on its ribbon
+function setAnnotationDistance(meters) {
+    state.annotationDistance = clampAnnotationDistance(meters);
+    elements.annotationDistanceInput.value = state.annotationDistance;
+    scheduleAutosave();
+    updateRibbonAnnotations();
+}
+
+// GeoJSON Point / MultiPoint features as annotations (crossings exported
+// by this app are skipped)
+function parseGeoJSONPoints(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (err) {
+        return [];
+    }
+    const features = json.type === 'FeatureCollection' ? json.features || []
+        : json.type === 'Feature' ? [json] : [];
+    const notes = [];
+    for (const feature of features) {
+        const geom = feature.geometry;
+        const props = feature.properties || {};
+        if (!geom || props.type === 'crossing') continue;
+        const coords = geom.type === 'Point' ? [geom.coordinates]
+            : geom.type === 'MultiPoint' ? geom.coordinates : [];
+        for (const [lng, lat] of coords) {
+            if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+            notes.push({
+                lat,
+                lng,
+                text: String(props.name || props.title || props.text || props.description || 'Note'),
+                icon: ANNOTATION_ICONS[props.icon] ? props.icon : 'pin'
+            });
+        }
+    }
+    return notes;
+}
+
+// Comparison statistics for the paths ticked in the stats panel. Shape
+// metrics come from each path alone; crossings and shared stretches reuse
+// the ribbon analysis; Hausdorff and Fréchet distances are approximated
+// on evenly spaced samples of each pair.
+const STATS_SAMPLES = 300; // samples per path for the pair distances
+const TURN_SAMPLE_STEP = 10; // meters between heading samples
+const TURN_ARM = 3; // samples either side when measuring a heading change
+const MOVING_SPEED = 0.5; // m/s; slower segments count as stopped
+let statsToken = 0;
+
+function clampTurnThreshold(degrees) {
+    const value = Number(degrees);
+    if (!isFinite(value) || value <= 0) return 45;
+    return Math.min(180, Math.max(5, Math.round(value)));
+}
+
+// Points at even distances along a path (count >= 2)
+function sampleByDistance(path, count) {
+    const distances = computeCumulativeDistances(path.geoPath);
+    const total = distances[distances.length - 1];
+    const samples = [];
+    let i = 0;
+    for (let k = 0; k < count; k++) {
+        const along = (k / (count - 1)) * total;
+        while (i < distances.length - 2 && distances[i + 1] < along) i++;
+        const span = distances[i + 1] - distances[i];
+        const t = span > 0 ? Math.max(0, Math.min(1, (along - distances[i]) / span)) : 0;
+        const [lat1, lng1] = path.geoPath[i];
+        const [lat2, lng2] = path.geoPath[i + 1];
+        samples.push([lat1 + t * (lat2 - lat1), lng1 + t * (lng2 - lng1)]);
+    }
+    return samples;
+}
+
+// Number of turns sharper than the threshold. Headings are taken over a
+// few resampled steps either side so GPS jitter does not count; a run of
+// consecutive sharp samples is one turn.
+function countTurns(path, thresholdDegrees) {
+    const count = Math.min(5000, Math.floor(path.distance / TURN_SAMPLE_STEP) + 1);
+    if (count < TURN_ARM * 2 + 1) return 0;
+    const project = localProjection(path.geoPath[0][0]);
+    const points = sampleByDistance(path, count).map(([lat, lng]) => project(lat, lng));
+    const heading = (a, b) => Math.atan2(b.y - a.y, b.x - a.x);
+
+    let turns = 0, inTurn = false;
+    for (let i = TURN_ARM; i < points.length - TURN_ARM; i++) {
+        const change = heading(points[i], points[i + TURN_ARM]) - heading(points[i - TURN_ARM], points[i]);
+        const degrees = Math.abs(Math.atan2(Math.sin(change), Math.cos(change))) * 180 / Math.PI;
+        if (degrees >= thresholdDegrees && !inTurn) turns++;
+        inTurn = degrees >= thresholdDegrees;
+    }
+    return turns;
+}
+
+// Time spent moving faster than MOVING_SPEED, in ms
+function movingTime(path) {
+    const distances = computeCumulativeDistances(path.geoPath);
+    let moving = 0;
+    for (let i = 1; i < path.times.length; i++) {
+        const dt = path.times[i] - path.times[i - 1];
+        if (dt > 0 && (distances[i] - distances[i - 1]) / (dt / 1000) > MOVING_SPEED) moving += dt;
+    }
+    return moving;
+}
+
+// Metrics of a single path; time metrics are null without timestamps
+function pathStats(path, turnThreshold) {
+    const [lat0, lng0] = path.geoPath[0];
+    const [lat1, lng1] = path.geoPath[path.geoPath.length - 1];
+    const displacement = haversine(lat0, lng0, lat1, lng1);
+    // Loops rather than spreading into Math.min/max, which overflows the
+    // argument limit on long tracks
+    const bbox = { minLat: Infinity, minLng: Infinity, maxLat: -Infinity, maxLng: -Infinity };
+    for (const [lat, lng] of path.geoPath) {
+        bbox.minLat = Math.min(bbox.minLat, lat);
+        bbox.minLng = Math.min(bbox.minLng, lng);
+        bbox.maxLat = Math.max(bbox.maxLat, lat);
+        bbox.maxLng = Math.max(bbox.maxLng, lng);
+    }
+    const midLat = (bbox.minLat + bbox.maxLat) / 2;
+    const stats = {
+        length: path.distance,
+        displacement,
+        sinuosity: displacement > 0 ? path.distance / displacement : null,
+        bbox,
+        bboxWidth: haversine(midLat, bbox.minLng, midLat, bbox.maxLng),
+        bboxHeight: haversine(bbox.minLat, lng0, bbox.maxLat, lng0),
+        turns: countTurns(path, turnThreshold),
+        duration: null,
+        movingTime: null,
+        avgSpeed: null,
+        maxSpeed: null
+    };
+    if (hasTimes(path) && pathDuration(path) > 0) {
+        stats.duration = pathDuration(path);
+        stats.movingTime = movingTime(path);
+        stats.avgSpeed = (path.distance / (stats.duration / 1000)) * 3.6;
+        stats.maxSpeed = derivedSpeed(path).reduce((max, speed) => Math.max(max, speed), 0);
+    }
+    return stats;
+}
+
+// Symmetric Hausdorff distance between two sample lists, in meters
+function hausdorffDistance(a, b) {
+    const directed = (from, to) => {
+        let worst = 0;
+        for (const p of from) {
+            let nearest = Infinity;
+            for (const q of to) nearest = Math.min(nearest, Math.hypot(p.x - q.x, p.y - q.y));
+            worst = Math.max(worst, nearest);
+        }
+        return worst;
+    };
+    return Math.max(directed(a, b), directed(b, a));
+}
+
+// Discrete Fréchet distance between two sample lists, in meters
+function frechetDistance(a, b) {
+    let previous = new Float64Array(b.length);
+    let current = new Float64Array(b.length);
+    for (let i = 0; i < a.length; i++) {
+        for (let j = 0; j < b.length; j++) {
+            const d = Math.hypot(a[i].x - b[j].x, a[i].y - b[j].y);
+            if (i === 0 && j === 0) current[j] = d;
+            else if (i === 0) current[j] = Math.max(current[j - 1], d);
+            else if (j === 0) current[j] = Math.max(previous[j], d);
+            else current[j] = Math.max(Math.min(previous[j], previous[j - 1], current[j - 1]), d);
+        }
+        [previous, current] = [current, previous];
+    }
+    return previous[b.length - 1];
+}
+
+// Hausdorff and Fréchet distances of a pair, cached like crossings
+function pairDistances(pathA, pathB) {
+    return cachedPair(`d|${pathFingerprint(pathA)}|${pathFingerprint(pathB)}`, () => {
+        const project = localProjection(pathA.geoPath[0][0]);
+        const a = sampleByDistance(pathA, STATS_SAMPLES).map(([lat, lng]) => project(lat, lng));
+        const b = sampleByDistance(pathB, STATS_SAMPLES).map(([lat, lng]) => project(lat, lng));
+        return { hausdorff: hausdorffDistance(a, b), frechet: frechetDistance(a, b) };
+    });
+}
+
+// Per-path metrics and per-pair comparisons for a set of paths
+async function comparePaths(paths, turnThreshold) {
+    const { crossingsByPath, overlapsByPath } = await analyzePaths(paths);
+    // Distinct crossing locations of a path with others matching a test (a
+    // crossing through a shared vertex is found on both adjacent segments)
+    const countCrossings = (path, test) => new Set((crossingsByPath[path.id] || [])
+        .filter(c => test(c.otherPathId)).map(crossingKey)).size;
+    const rows = paths.map(path => ({
+        path,
+        ...pathStats(path, turnThreshold),
+        selfCrossings: countCrossings(path, id => id === path.id),
+        crossings: countCrossings(path, id => id !== path.id),
+        shared: (overlapsByPath[path.id] || []).reduce((sum, o) => sum + o.length, 0)
+    }));
+
+    const pairs = [];
+    for (let a = 0; a < paths.length; a++) {
+        for (let b = a + 1; b < paths.length; b++) {
+            const pathA = paths[a], pathB = paths[b];
+            pairs.push({
+                pathA,
+                pathB,
+                crossings: countCrossings(pathA, id => id === pathB.id),
+                shared: (overlapsByPath[pathA.id] || [])
+                    .filter(o => o.otherPathId === pathB.id)
+                    .reduce((sum, o) => sum + o.length, 0),
+                ...pairDistances(pathA, pathB)
+            });
+        }
+    }
+    return { rows, pairs };
+}
+
+// Paths the stats panel compares: the ticked ones, or every visible path
+function statsPaths() {
+    return state.statsPathIds
+        ? state.paths.filter(p => state.statsPathIds.includes(p.id))
+        : visiblePaths();
+}
+
+function formatSpeed(kmh) {
+    return `${kmh.toFixed(1)} km/h`;
+}
+
+// Rebuild the stats panel: path checkboxes, a metrics table with one
+// column per path and a table of pairs
+async function updateStatsPanel() {
+    if (elements.statsPanel.hidden) return;
+    const token = ++statsToken;
+    const selected = statsPaths();
+
+    elements.statsPaths.innerHTML = state.paths.map(path => `
+        <label class="stats-path" title="${escapeXml(path.name)}">
+            <input type="checkbox" value="${path.id}"${selected.includes(path) ? ' checked' : ''}>
+            <span class="path-color" data-path-id="${path.id}"></span>
+            <span>${escapeXml(path.name)}</span>
+        </label>
+    `).join('');
+    fillPathSwatches(elements.statsPaths, state.paths);
+    elements.statsPaths.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', () => {
+            state.statsPathIds = [...elements.statsPaths.querySelectorAll('input:checked')].map(el => Number(el.value));
+            updateStatsPanel();
+        });
+    });
+
+    if (selected.length === 0) {
+        elements.statsBody.innerHTML = '<div class="path-panel-empty">Tick paths to compare</div>';
+        state.statsResult = null;
+        return;
+    }
+    elements.statsBody.innerHTML = '<div class="path-panel-empty">Computing…</div>';
+    const result = await comparePaths(selected, state.turnThreshold);
+    if (token !== statsToken) return;
+    state.statsResult = result;
+
+    const dash = '—';
+    const metrics = [
+        ['Length', r => formatDistance(r.length, 2)],
+        ['Displacement', r => formatDistance(r.displacement, 2)],
+        ['Sinuosity', r => (r.sinuosity != null ? r.sinuosity.toFixed(2) : dash)],
+        ['Bounding box', r => `${formatDistance(r.bboxWidth)} × ${formatDistance(r.bboxHeight)}`],
+        [`Turns ≥ ${state.turnThreshold}°`, r => String(r.turns)],
+        ['Self-crossings', r => String(r.selfCrossings)],
+        ['Crossings', r => String(r.crossings)],
+        ['Shared', r => formatDistance(r.shared)],
+        ['Duration', r => (r.duration != null ? formatDuration(r.duration) : dash)],
+        ['Moving time', r => (r.movingTime != null ? formatDuration(r.movingTime) : dash)],
+        ['Avg speed', r => (r.avgSpeed != null ? formatSpeed(r.avgSpeed) : dash)],
+        ['Max speed', r => (r.maxSpeed != null ? formatSpeed(r.maxSpeed) : dash)]
+    ];
+    const name = path => `<span class="path-color" data-path-id="${path.id}"></span>${escapeXml(path.name)}`;
+    let html = '<table class="stats-table"><thead><tr><th></th>' +
+        result.rows.map(r => `<th>${name(r.path)}</th>`).join('') + '</tr></thead><tbody>' +
+        metrics.map(([label, format]) =>
+            `<tr><th>${label}</th>${result.rows.map(r => `<td>${format(r)}</td>`).join('')}</tr>`).join('') +
+        '</tbody></table>';
+    if (result.pairs.length > 0) {
+        html += '<table class="stats-table"><thead><tr><th>Pair</th><th>Crossings</th><th>Shared</th>' +
+            '<th>Hausdorff</th><th>Fréchet</th></tr></thead><tbody>' +
+            result.pairs.map(p => `<tr><th>${name(p.pathA)} · ${name(p.pathB)}</th><td>${p.crossings}</td>` +
+                `<td>${formatDistance(p.shared)}</td><td>${formatDistance(p.hausdorff)}</td>` +
+                `<td>${formatDistance(p.frechet)}</td></tr>`).join('') +
+            '</tbody></table>';
+    }
+    elements.statsBody.innerHTML = html;
+    fillPathSwatches(elements.statsBody, result.rows.map(r => r.path));
+}
+
+// Color the swatches of paths listed in markup; colors are set as
+// properties, never written into the HTML
+function fillPathSwatches(container, paths) {
+    container.querySelectorAll('.path-color[data-path-id]').forEach(swatch => {
+        const path = paths.find(p => p.id === Number(swatch.dataset.pathId));
+        if (path) swatch.style.background = path.color;
+    });
+}
+
+function setStatsPanel(open) {
+    elements.statsPanel.hidden = !open;
+    elements.statsBtn.classList.toggle('active', open);
+    if (open) updateStatsPanel();
+}
+
+function setTurnThreshold(degrees) {
+    state.turnThreshold = clampTurnThreshold(degrees);
+    elements.statsTurnInput.value = state.turnThreshold;
+    updateStatsPanel();
+}
+
+// Text that a spreadsheet would run as a formula (e.g. a path named
+// "=HYPERLINK(...)") is prefixed with an apostrophe
+function csvField(value) {
+    if (value == null) return '';
+    let text = typeof value === 'number' ? String(+value.toFixed(3)) : String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The last computed comparison as CSV: a table of paths, a blank line,
+// then a table of pairs. Units are meters, seconds and km/h.
+function statsToCsv({ rows, pairs }) {
+    const seconds = ms => (ms != null ? ms / 1000 : null);
+    const lines = [
+        ['path', 'length_m', 'displacement_m', 'sinuosity', 'min_lat', 'min_lng', 'max_lat', 'max_lng',
+            'bbox_width_m', 'bbox_height_m', `turns_${state.turnThreshold}deg`, 'self_crossings', 'crossings',
+            'shared_m', 'duration_s', 'moving_time_s', 'avg_speed_kmh', 'max_speed_kmh'].join(',')
+    ];
+    for (const r of rows) {
+        lines.push([
+            r.path.name, r.length, r.displacement, r.sinuosity, r.bbox.minLat, r.bbox.minLng, r.bbox.maxLat,
+            r.bbox.maxLng, r.bboxWidth, r.bboxHeight, r.turns, r.selfCrossings, r.crossings, r.shared,
+            seconds(r.duration), seconds(r.movingTime), r.avgSpeed, r.maxSpeed
+        ].map(csvField).join(','));
+    }
+    if (pairs.length > 0) {
+        lines.push('', 'path_a,path_b,crossings,shared_m,hausdorff_m,frechet_m');
+        for (const p of pairs) {
+            lines.push([p.pathA.name, p.pathB.name, p.crossings, p.shared, p.hausdorff, p.frechet].map(csvField).join(','));
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+function exportStatsCsv() {
+    if (!state.statsResult) {
+        elements.status.textContent = 'Nothing to export';
+        return;
+    }
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(`time-ribbons-stats-${stamp}.csv`, statsToCsv(state.statsResult), 'text/csv');
+    elements.status.textContent = `Exported stats for ${state.statsResult.rows.length} path${state.statsResult.rows.length === 1 ? '' : 's'}`;
+}
+
+// Shareable permalinks: the scene is JSON with polyline-encoded geometry,
+// deflated and base64url-encoded into the URL hash
+const SHARE_HASH_PREFIX = '#scene=';
+const MAX_SHARE_LENGTH = 8000;
+const SHARE_TOLERANCES = [0, 1, 2, 5, 10, 20, 50, 100]; // meters
+
+// Encode a list of integers with the Google polyline varint scheme
+// (arithmetic rather than bit ops so values beyond 32 bits survive)
+function encodeIntegers(values) {
+    let out = '';
+    for (const value of values) {
+        let num = value < 0 ? -2 * value - 1 : 2 * value;
+        while (num >= 32) {
+            out += String.fromCharCode((32 + (num % 32)) + 63);
+            num = Math.floor(num / 32);
+        }
+        out += String.fromCharCode(num + 63);
+    }
+    return out;
+}
+
+function decodeIntegers(str) {
+    const values = [];
+    let i = 0;
+    while (i < str.length) {
+        let num = 0, factor = 1, byte;
+        do {
+            byte = str.charCodeAt(i++) - 63;
+            num += (byte % 32) * factor;
+            factor *= 32;
+        } while (byte >= 32);
+        values.push(num % 2 === 1 ? -(num + 1) / 2 : num / 2);
+    }
+    return values;
+}
+
+// Delta-encode a coordinate list at 1e-5 degree precision
+function encodePolyline(geoPath) {
+    const values = [];
+    let prevLat = 0, prevLng = 0;
+    for (const [lat, lng] of geoPath) {
+        const iLat = Math.round(lat * 1e5), iLng = Math.round(lng * 1e5);
+        values.push(iLat - prevLat, iLng - prevLng);
+        prevLat = iLat;
+        prevLng = iLng;
+    }
+    return encodeIntegers(values);
+}
+
+function decodePolyline(str, factor = 1e5) {
+    const values = decodeIntegers(str);
+    const geoPath = [];
+    let lat = 0, lng = 0;
+    for (let i = 0; i + 1 < values.length; i += 2) {
+        lat += values[i];
+        lng += values[i + 1];
+        geoPath.push([lat / factor, lng / factor]);
+    }
+    return geoPath;
+}
+
+// Douglas-Peucker simplification; returns the indices of kept points
+function simplifyIndices(geoPath, toleranceMeters) {
+    if (toleranceMeters <= 0 || geoPath.length <= 2) return geoPath.map((_, i) => i);
+
+    // Local equirectangular projection to meters
+    const cosLat = Math.cos(geoPath[0][0] * Math.PI / 180);
+    const pts = geoPath.map(([lat, lng]) => [lng * 111320 * cosLat, lat * 110540]);
+    const keep = new Uint8Array(pts.length);
+    keep[0] = keep[pts.length - 1] = 1;
+
+    const stack = [[0, pts.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        const [ax, ay] = pts[first], [bx, by] = pts[last];
+        const dx = bx - ax, dy = by - ay;
+        const len2 = dx * dx + dy * dy;
+        let maxDist = 0, maxIdx = -1;
+        for (let i = first + 1; i < last; i++) {
+            const [px, py] = pts[i];
+            const t = len2 > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2)) : 0;
+            const d = Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+            if (d > maxDist) {
+                maxDist = d;
+                maxIdx = i;
+            }
+        }
+        if (maxDist > toleranceMeters) {
+            keep[maxIdx] = 1;
+            stack.push([first, maxIdx], [maxIdx, last]);
+        }
+    }
+    return [...keep.keys()].filter(i => keep[i]);
+}
+
+// Payloads start with 'z.' (deflated) or 'u.' (plain, from browsers
+// without CompressionStream); '.' never occurs in base64url. Older links
+// have no marker and are always deflated.
+async function deflateToBase64Url(text) {
+    let bytes = new TextEncoder().encode(text);
+    const compressed = typeof CompressionStream !== 'undefined';
+    if (compressed) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return (compressed ? 'z.' : 'u.') + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function inflateFromBase64Url(encoded) {
+    const marker = encoded.match(/^([zu])\./);
+    const compressed = !marker || marker[1] === 'z';
+    const binary = atob((marker ? encoded.slice(2) : encoded).replace(/-/g, '+').replace(/_/g, '/'));
+    let bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+    if (compressed) {
+        if (typeof DecompressionStream === 'undefined') throw new Error('this browser cannot read compressed links');
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    return new TextDecoder().decode(bytes);
+}
+
+// Compact scene description, simplifying every path to the given tolerance
+function buildScene(toleranceMeters) {
+    const center = state.map.getCenter();
+    const scene = {
+        v: 1,
+        tp: state.tileProvider,
+        mv: [+center.lat.toFixed(5), +center.lng.toFixed(5), state.map.getZoom()],
+        vw: state.view,
+        sv: state.splitView ? 1 : 0,
+        am: state.alignMode,
+        sc: state.ribbonScaling,
+        aw: state.alignMethod,
+        cw: state.corridorWidth,
+        ot: state.overlapTolerance,
+        an: state.annotations.map(note => [+note.lat.toFixed(6), +note.lng.toFixed(6), note.text, note.icon]),
+        ad: state.annotationDistance,
+        pg: state.pathGroups.map(g => [g.name, g.collapsed ? 1 : 0]),
+        p: state.paths.map(path => {
+            const indices = simplifyIndices(path.geoPath, toleranceMeters);
+            const entry = {
+                n: path.name,
+                c: path.color,
+                g: encodePolyline(indices.map(i => path.geoPath[i]))
+            };
+            if (path.corridorWidth) entry.w = path.corridorWidth;
+            if (path.group) entry.gp = path.group;
+            if (path.hidden) entry.h = 1;
+            if (hasTimes(path)) {
+                const times = indices.map(i => path.times[i]);
+                entry.t0 = times[0];
+                entry.t = encodeIntegers(times.map((t, i) => i === 0 ? 0 : t - times[i - 1]));
+            }
+            return entry;
+        })
+    };
+
+    // Crossing keys do not survive coordinate quantization, so the
+    // alignment is stored as anchor path index plus crossing location;
+    // picked pairs as [path index, fraction, anchor fraction]
+    if (state.alignment) {
+        const { crossingKey: key, anchorPathId, pairs = [] } = state.alignment;
+        const anchorIndex = state.paths.findIndex(p => p.id === anchorPathId);
+        if (anchorIndex !== -1) {
+            scene.al = key ? [anchorIndex, ...key.split(',').map(Number)] : [anchorIndex];
+            const indexed = pairs
+                .map(p => [state.paths.findIndex(path => path.id === p.pathId), +p.fraction.toFixed(5), +p.anchorFraction.toFixed(5)])
+                .filter(([index]) => index !== -1);
+            if (indexed.length > 0) scene.ap = indexed;
+        }
+    }
+    return scene;
+}
+
+// Encode the scene into a URL, simplifying until it fits
+async function createShareUrl() {
+    const base = location.href.split('#')[0];
+    let url = null, tolerance = 0;
+    for (tolerance of SHARE_TOLERANCES) {
+        url = base + SHARE_HASH_PREFIX + await deflateToBase64Url(JSON.stringify(buildScene(tolerance)));
+        if (url.length <= MAX_SHARE_LENGTH) break;
+    }
+    return { url, tolerance, fits: url.length <= MAX_SHARE_LENGTH };
+}
+
+// Convert a decoded scene into the workspace format used by restoreWorkspace
+function sceneToWorkspace(scene) {
+    if (!scene || scene.v !== 1 || !Array.isArray(scene.p)) throw new Error('unrecognized link format');
+
+    const paths = scene.p.map((entry, i) => {
+        const geoPath = decodePolyline(entry.g);
+        let times = null;
+        if (entry.t != null) {
+            let t = entry.t0;
+            times = decodeIntegers(entry.t).map(delta => (t += delta));
+            if (times.length !== geoPath.length) times = null;
+        }
+        return {
+            id: i + 1, name: entry.n, color: entry.c, geoPath, times, attributes: {}, corridorWidth: entry.w,
+            group: entry.gp, hidden: !!entry.h
+        };
+    });
+
+    // Re-resolve the alignment to the nearest crossing on the anchor path
+    let alignment = null;
+    if (scene.al && paths[scene.al[0]]) {
+        const [anchorIndex, lat, lng] = scene.al;
+        const anchorId = paths[anchorIndex].id;
+        let best = null;
+        if (lat != null) {
+            const targets = alignmentTargets(computeAllCrossings(paths),
+                computeAllOverlaps(paths, clampOverlapTolerance(scene.ot)));
+            const candidates = (targets[anchorId] || []).filter(c => c.otherPathId !== anchorId);
+            let bestDist = Infinity;
+            for (const c of candidates) {
+                const d = haversine(lat, lng, c.lat, c.lng);
+                if (d < bestDist) {
+                    bestDist = d;
+                    best = c;
+                }
+            }
+        }
+        const isFraction = f => Number.isFinite(f) && f >= 0 && f <= 1;
+        const pairs = (Array.isArray(scene.ap) ? scene.ap : [])
+            .filter(entry => Array.isArray(entry) && Number.isInteger(entry[0]) && paths[entry[0]] &&
+                isFraction(entry[1]) && isFraction(entry[2]))
+            .map(([index, fraction, anchorFraction]) => ({ pathId: paths[index].id, fraction, anchorFraction }));
+        // Anchor-only alignments are valid for the warped methods
+        if (best || lat == null || pairs.length > 0) {
+            alignment = { crossingKey: best ? crossingKey(best) : null, anchorPathId: anchorId, pairs };
+        }
+    }
+
+    return {
+        paths,
+        nextPathId: paths.length + 1,
+        tileProvider: scene.tp,
+        mapView: scene.mv ? { center: [scene.mv[0], scene.mv[1]], zoom: scene.mv[2] } : null,
+        view: scene.vw,
+        splitView: !!scene.sv,
+        alignMode: scene.am,
+        ribbonScaling: scene.sc,
+        alignMethod: scene.aw,
+        corridorWidth: scene.cw,
+        overlapTolerance: scene.ot,
+        annotations: (scene.an || []).map(([lat, lng, text, icon], i) => ({ id: i + 1, lat, lng, text, icon })),
+        annotationDistance: scene.ad,
+        pathGroups: (scene.pg || []).map(([name, collapsed]) => ({ name, collapsed: !!collapsed })),
+        alignment
+    };
+}
+
+// Copy a permalink for the current scene to the clipboard
+async function shareScene() {
+    if (state.paths.length === 0) {
+        elements.status.textContent = 'Nothing to share';
+        return;
+    }
+    try {
+        const { url, tolerance, fits } = await createShareUrl();
+        history.replaceState(null, '', url);
+        await navigator.clipboard.writeText(url);
+        let message = 'Link copied';
+        if (tolerance > 0) message += ` (simplified to ${tolerance} m)`;
+        if (!fits) message += ' — scene is very large, link may be truncated by some apps';
+        elements.status.textContent = message;
+    } catch (err) {
+        elements.status.textContent = `Could not create link: ${err.message}`;
+    }
+}
+
+// Load a scene from the URL hash; returns true if one was found
+async function loadSceneFromHash() {
+    if (!location.hash.startsWith(SHARE_HASH_PREFIX)) return false;
+    try {
+        const json = await inflateFromBase64Url(location.hash.slice(SHARE_HASH_PREFIX.length));
+        const workspace = sceneToWorkspace(JSON.parse(json));
+        // At startup the previous workspace only exists in the autosave,
+        // which the link is about to overwrite: load it first so the link
+        // can be undone, and keep a copy as a session
+        if (state.paths.length === 0) await restoreAutosave();
+        let backup = null;
+        if (state.paths.length > 0) {
+            recordHistory('open link');
+            backup = await backupWorkspace();
+        }
+        await restoreWorkspace(workspace);
+        elements.status.textContent = backup
+            ? `Loaded shared scene — previous workspace saved as session "${backup}"`
+            : 'Loaded shared scene';
+    } catch (err) {
+        elements.status.textContent = `Could not open shared link: ${err.message}`;
+    }
+    // The live workspace diverges from the link as soon as it is edited
+    history.replaceState(null, '', location.href.split('#')[0]);
+    return true;
+}
+
+// View switching
+async function showRibbon() {
+    state.view = 'ribbon';
+    scheduleAutosave();
+    applyViewLayout();
+    state.ribbonView = null;
+    await renderAllRibbons();
+}
+
+function showMap() {
+    state.view = 'map';
+    scheduleAutosave();
+    applyViewLayout();
+}
+
+// Show the map above the ribbons while in the ribbon view
+function setSplitView(on) {
+    state.splitView = on;
+    scheduleAutosave();
+    applyViewLayout();
+    if (isSplitView() && state.paths.length > 0) {
+        state.map.fitBounds(L.latLngBounds(state.paths.flatMap(p => p.geoPath)), { padding: [30, 30] });
+    }
+}
+
+function isSplitView() {
+    return state.view === 'ribbon' && state.splitView;
+}
+
+// Which of map and ribbons are on screen
+function applyViewLayout() {
+    const ribbon = state.view === 'ribbon';
+    const split = isSplitView();
+    elements.app.classList.toggle('split-view', split);
+    elements.mapContainer.classList.toggle('hidden', ribbon && !split);
+    elements.ribbonContainer.classList.toggle('visible', ribbon);
+    elements.splitBtn.classList.toggle('active', state.splitView);
+    if (!split) clearMapBrush();
+    state.map.invalidateSize();
+}
+
+// Tile loading
+function tileCacheKey(providerKey, x, y, z) {
+    return `${providerKey}/${z}/${x}/${y}`;
+}
+
+function tileCacheGet(key) {
+    const img = tileCache.get(key);
+    tileCache.delete(key);
+    tileCache.set(key, img);
+    return img;
+}
+
+function tileCachePut(key, img) {
+    tileCache.delete(key);
+    tileCache.set(key, img);
+    while (tileCache.size > TILE_CACHE_LIMIT) {
+        tileCache.delete(tileCache.keys().next().value);
+    }
+}
+
+// Persistent tile store, or null where the Cache API is unavailable
+// (e.g. pages served over plain http)
+function openTileStore() {
+    if (!tileStorePromise) {
+        tileStorePromise = typeof caches === 'undefined'
+            ? Promise.resolve(null)
+            : caches.open(TILE_STORE_NAME).catch(() => null);
+    }
+    return tileStorePromise;
+}
+
+// Evict the oldest stored tiles once the store passes TILE_STORE_LIMIT,
+// down to 90% so the keys are not listed on every write
+let tileStoreCount = null; // entries in the store, counted on first write
+
+async function trimTileStore(store) {
+    if (tileStoreCount === null) tileStoreCount = (await store.keys()).length;
+    else tileStoreCount++;
+    if (tileStoreCount <= TILE_STORE_LIMIT) return;
+
+    const keys = await store.keys(); // in insertion order
+    const excess = keys.length - Math.floor(TILE_STORE_LIMIT * 0.9);
+    await Promise.all(keys.slice(0, Math.max(0, excess)).map(key => store.delete(key)));
+    tileStoreCount = keys.length - Math.max(0, excess);
+}
+
+function loadImage(src) {
+    return new Promise((resolve) => {
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        img.src = src;
+        img.onload = () => resolve(img);
+        img.onerror = () => resolve(null);
+    });
+}
+
+async function imageFromBlob(blob) {
+    const objectUrl = URL.createObjectURL(blob);
+    const img = await loadImage(objectUrl);
+    URL.revokeObjectURL(objectUrl);
+    return img;
+}
+
+async function loadTile(x, y, z, providerKey = state.tileProvider) {
+    const provider = tileProviders[providerKey];
+    if (!provider) return null;
+    if (provider.loadTileBlob) {
+        const blob = await provider.loadTileBlob(x, y, z);
+        if (!blob) return null;
+        tileStats.storeHits++;
+        return imageFromBlob(blob);
+    }
+
+    const url = provider.ribbonTileUrl(x, y, z);
+    const store = await openTileStore();
+    let fetched = false;
+    if (store) {
+        try {
+            let response = await store.match(url);
+            if (response) {
+                tileStats.storeHits++;
+            } else {
+                response = await fetch(url, { mode: 'cors' });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                tileStats.network++;
+                fetched = true;
+                await store.put(url, response.clone());
+                await trimTileStore(store);
+            }
+            const img = await imageFromBlob(await response.blob());
+            if (img) return img;
+        } catch (err) {
+            // Fall back to a plain image request below
+        }
+    }
+    if (!fetched) tileStats.network++;
+    const img = await loadImage(url);
+    if (!img) tileStats.failures++;
+    return img;
+}
+
+// Tile fetch scheduler: at most TILE_CONCURRENCY loads in flight, one
+// request per tile no matter how many strips need it. Each request is
+// tagged with the newest render generation that wants it so queued
+// requests from superseded renders can be dropped.
+const TILE_CONCURRENCY = 6;
+const tileQueue = [];
+const tileRequests = new Map(); // key -> queued or in-flight job
+let activeTileLoads = 0;
+
+function getTile(x, y, z, generation = state.renderGeneration) {
+    const key = tileCacheKey(state.tileProvider, x, y, z);
+    tileStats.requests++;
+    if (tileCache.has(key)) {
+        tileStats.memoryHits++;
+        return Promise.resolve(tileCacheGet(key));
+    }
+
+    let job = tileRequests.get(key);
+    if (job) {
+        job.generation = Math.max(job.generation, generation);
+        return job.promise;
+    }
+
+    job = { key, x, y, z, generation, provider: state.tileProvider };
+    job.promise = new Promise(resolve => { job.resolve = resolve; });
+    tileRequests.set(key, job);
+    tileQueue.push(job);
+    pumpTileQueue();
+    return job.promise;
+}
+
+function pumpTileQueue() {
+    while (activeTileLoads < TILE_CONCURRENCY && tileQueue.length > 0) {
+        const job = tileQueue.shift();
+        activeTileLoads++;
+        loadTile(job.x, job.y, job.z, job.provider).catch(() => {
+            tileStats.failures++;
+            return null;
+        }).then(img => {
+            activeTileLoads--;
+            tileRequests.delete(job.key);
+            // Failed loads are retried next time rather than remembered
+            if (img) tileCachePut(job.key, img);
+            // A provider switch while loading makes the tile obsolete
+            job.resolve(job.provider === state.tileProvider ? img : null);
+            scheduleTileStatsUpdate();
+            pumpTileQueue();
+        });
+    }
+}
+
+// Drop queued (not yet started) requests only wanted by older renders
+function cancelStaleTileRequests(generation) {
+    for (let i = tileQueue.length - 1; i >= 0; i--) {
+        const job = tileQueue[i];
+        if (job.generation >= generation) continue;
+        tileQueue.splice(i, 1);
+        tileRequests.delete(job.key);
+        job.resolve(null);
+    }
+}
+
+// Web Mercator pixel coordinates of a point at zoom z
+function latLngToWorldPixel(lat, lng, z, tileSize = 256) {
+    const scale = Math.pow(2, z);
+    const latRad = lat * Math.PI / 180;
+    return {
+        x: ((lng + 180) / 360) * tileSize * scale,
+        y: ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * tileSize * scale
+    };
+}
+
+// Web Mercator tile containing a point, and the point's pixel within it
+function latLngToTilePixel(lat, lng, z, tileSize = 256) {
+    const { x: worldX, y: worldY } = latLngToWorldPixel(lat, lng, z, tileSize);
+    return {
+        tileX: Math.floor(worldX / tileSize),
+        tileY: Math.floor(worldY / tileSize),
+        pixelX: worldX % tileSize,
+        pixelY: worldY % tileSize
+    };
+}
+
+// Ribbon corridor: how many meters either side of the path a ribbon shows
+const CORRIDOR_MIN = 20;
+const CORRIDOR_MAX = 2000;
+const RIBBON_IMAGE_HEIGHT = 100; // ribbon canvas height (CSS) minus margins
+
+function clampCorridor(meters) {
+    return Math.min(CORRIDOR_MAX, Math.max(CORRIDOR_MIN, Math.round(meters)));
+}
+
+function pathCorridor(path) {
+    return path.corridorWidth || state.corridorWidth;
+}
+
+// Proximity within which paths count as sharing a stretch
+async function setOverlapTolerance(meters) {
+    state.overlapTolerance = clampOverlapTolerance(meters);
+    elements.overlapInput.value = state.overlapTolerance;
+    scheduleAutosave();
+    if (state.view === 'ribbon') await renderAllRibbons();
+}
+
+// Change the default corridor width and redraw the ribbons
+async function setCorridorWidth(meters) {
+    const width = clampCorridor(Number(meters) || state.corridorWidth);
+    elements.corridorInput.value = width;
+    if (width === state.corridorWidth) return;
+    state.corridorWidth = width;
+    scheduleAutosave();
+    if (state.view === 'ribbon') await renderAllRibbons();
+}
+
+// Override the corridor width of one ribbon; an empty value resets it
+async function setPathCorridor(id, meters) {
+    const path = state.paths.find(p => p.id === id);
+    if (!path) return;
+    path.corridorWidth = meters === '' || meters == null ? null : clampCorridor(Number(meters) || state.corridorWidth);
+    scheduleAutosave();
+    if (state.view === 'ribbon') await renderAllRibbons();
+}
+
+// Tile zoom at which the corridor fills halfHeight pixels at native tile
+// resolution or better, and the corridor's half-width in tile pixels at
+// that zoom
+function corridorZoom(path, widthMeters, halfHeight) {
+    const metersPerPixelZ0 = metersPerPixelAtZoom0(path);
+    const ideal = Math.ceil(Math.log2(metersPerPixelZ0 * halfHeight / widthMeters));
+    const zoom = Math.max(0, Math.min(maxTileZoom(), ideal));
+    return { zoom, halfWidth: widthMeters * Math.pow(2, zoom) / metersPerPixelZ0 };
+}
+
+// Ground resolution of zoom 0 tiles at the path's mean latitude
+function metersPerPixelAtZoom0(path) {
+    const meanLat = path.geoPath.reduce((sum, p) => sum + p[0], 0) / path.geoPath.length;
+    return 156543.03392 * Math.cos(meanLat * Math.PI / 180);
+}
+
+function maxTileZoom() {
+    return Math.min(19, tileProviders[state.tileProvider].maxZoom || 19);
+}
+
+// Every tile the ribbon renderer may need for a path: the 3x3 block
+// around each point along it, walked in sub-tile steps
+function pathTiles(path, zoom) {
+    const tiles = new Map();
+    const addBlock = (lat, lng) => {
+        const { tileX, tileY } = latLngToTilePixel(lat, lng, zoom);
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                tiles.set(`${tileX + dx}/${tileY + dy}`, { x: tileX + dx, y: tileY + dy });
+            }
+        }
+    };
+    const geoPath = path.geoPath;
+    for (let i = 0; i < geoPath.length - 1; i++) {
+        const a = latLngToTilePixel(geoPath[i][0], geoPath[i][1], zoom);
+        const b = latLngToTilePixel(geoPath[i + 1][0], geoPath[i + 1][1], zoom);
+        const span = Math.abs(b.tileX - a.tileX) + Math.abs(b.tileY - a.tileY);
+        const steps = Math.max(1, span * 2);
+        for (let s = 0; s < steps; s++) {
+            const t = s / steps;
+            addBlock(
+                geoPath[i][0] + (geoPath[i + 1][0] - geoPath[i][0]) * t,
+                geoPath[i][1] + (geoPath[i + 1][1] - geoPath[i][1]) * t
+            );
+        }
+    }
+    const last = geoPath[geoPath.length - 1];
+    if (last) addBlock(last[0], last[1]);
+    return [...tiles.values()];
+}
+
+// Load every ribbon tile for the current paths so they are available
+// from the persistent store without a network connection
+async function prefetchTiles() {
+    const tiles = new Map();
+    for (const path of state.paths) {
+        const { zoom } = corridorZoom(path, pathCorridor(path), RIBBON_IMAGE_HEIGHT / 2);
+        for (const tile of pathTiles(path, zoom)) tiles.set(`${zoom}/${tile.x}/${tile.y}`, { ...tile, zoom });
+    }
+    if (tiles.size === 0) {
+        elements.status.textContent = 'No paths to prefetch';
+        return;
+    }
+    if (tiles.size > TILE_STORE_LIMIT) {
+        elements.status.textContent =
+            `These paths need ${tiles.size} tiles, more than the offline store keeps (${TILE_STORE_LIMIT})`;
+        return;
+    }
+
+    elements.tilePrefetchBtn.disabled = true;
+    const failuresBefore = tileStats.failures;
+    let done = 0;
+    elements.status.textContent = `Prefetching tiles 0/${tiles.size}`;
+    await Promise.all([...tiles.values()].map(async ({ x, y, zoom }) => {
+        await getTile(x, y, zoom, Infinity);
+        elements.status.textContent = `Prefetching tiles ${++done}/${tiles.size}`;
+    }));
+    elements.tilePrefetchBtn.disabled = false;
+
+    const failed = tileStats.failures - failuresBefore;
+    elements.status.textContent = failed > 0
+        ? `Prefetched ${tiles.size - failed} tiles (${failed} failed)`
+        : `Prefetched ${tiles.size} tiles for offline use`;
+    updateTileStats();
+}
+
+async function clearTileCache() {
+    tileCache.clear();
+    let message = 'Tile cache cleared';
+    if (typeof caches !== 'undefined') {
+        try {
+            await caches.delete(TILE_STORE_NAME);
+        } catch (err) {
+            message = `Cleared memory tiles; could not clear the offline store: ${err.message}`;
+        }
+    }
+    tileStorePromise = null;
+    tileStoreCount = null;
+    elements.status.textContent = message;
+    updateTileStats();
+}
+
+let tileStatsTimer = null;
+function scheduleTileStatsUpdate() {
+    if (elements.tileMenu.hidden || tileStatsTimer) return;
+    tileStatsTimer = setTimeout(() => {
+        tileStatsTimer = null;
+        updateTileStats();
+    }, 250);
+}
+
+// Fill the tile diagnostics panel
+async function updateTileStats() {
+    const { requests, memoryHits, storeHits, network, failures } = tileStats;
+    const hitRate = requests > 0 ? Math.round(((requests - network) / requests) * 100) : 0;
+    const rows = [
+        ['Memory', `${tileCache.size} / ${TILE_CACHE_LIMIT} tiles`],
+        ['Requests', `${requests} (${hitRate}% cached)`],
+        ['Sources', `${memoryHits} memory · ${storeHits} store · ${network} network`],
+        ['Failures', String(failures)]
+    ];
+
+    const store = await openTileStore();
+    if (store) {
+        let stored;
+        try {
+            const keys = await store.keys();
+            stored = `${keys.length} / ${TILE_STORE_LIMIT} tiles`;
+            if (navigator.storage && navigator.storage.estimate) {
+                const { usage } = await navigator.storage.estimate();
+                stored += ` · ${(usage / 1048576).toFixed(1)} MB used`;
+            }
+        } catch (err) {
+            stored = `Could not read: ${err.message}`;
+        }
+        rows.push(['Offline', stored]);
+    } else {
+        rows.push(['Offline', 'Unavailable in this browser']);
+    }
+
+    elements.tileStats.innerHTML = rows.map(([label, value]) =>
+        `<dt>${label}</dt><dd>${escapeXml(value)}</dd>`
+    ).join('');
+}
+
+// Render all ribbons. Each call supersedes any render still in progress.
+// Rows are laid out in content coordinates (the whole comparison at
+// 1x); state.ribbonView maps them onto the visible canvases.
+let ribbonLayoutToken = 0;
+
+async function renderAllRibbons() {
+    // Crossings and overlaps come first (from the worker); the old rows
+    // stay up meanwhile, and a render started in between takes over
+    const token = ++ribbonLayoutToken;
+    const paths = visiblePaths();
+    const { crossingsByPath, overlapsByPath } = await analyzePaths(paths);
+    if (token !== ribbonLayoutToken) return;
+
+    elements.ribbonRows.querySelectorAll('.ribbon-row').forEach(el => el.remove());
+    state.ribbonMeta = [];
+    state.hoveredCrossingKey = null;
+
+    if (paths.length === 0) {
+        elements.ribbonEmpty.style.display = 'flex';
+        updateRibbonMinimap();
+        drawWarpConnectors();
+        return;
+    }
+
+    elements.ribbonEmpty.style.display = 'none';
+    const rows = paths.map(createRibbonRow);
+    const maxExtent = Math.max(...paths.map(axisExtent)) || 1;
+    const targetsByPath = alignmentTargets(crossingsByPath, overlapsByPath);
+    const ranges = trackRanges(paths);
+    const viewportWidth = rows[0].querySelector('.ribbon-row-canvas').clientWidth || elements.ribbonRows.clientWidth;
+    const padding = 20;
+    const maxRibbonWidth = viewportWidth - padding * 2;
+    const normalized = state.ribbonScaling === 'normalized';
+
+    // Pre-compute ribbon widths and alignment offsets
+    const layouts = paths.map(path => ({
+        pathId: path.id,
+        ribbonWidth: normalized ? maxRibbonWidth : (axisExtent(path) / maxExtent) * maxRibbonWidth
+    }));
+
+    let drawOffsets = {};
+    const warps = {}; // pathId -> warp knots for warped alignment methods
+    let totalCanvasWidth = 0; // 0 = use default (viewport width)
+    let scrollTarget = 0;
+    const aligned = !!state.alignment;
+
+    if (aligned) {
+        const anchorId = state.alignment.anchorPathId;
+        const anchorPath = paths.find(p => p.id === anchorId);
+        const anchorLayout = layouts.find(l => l.pathId === anchorId);
+        const anchorCrossings = targetsByPath[anchorId] || [];
+        const anchorCrossing = anchorCrossings.find(c =>
+            crossingKey(c) === state.alignment.crossingKey
+        );
+        const method = alignmentMethod();
+
+        // A shift needs the crossing; warps only need the anchor ribbon
+        if (anchorLayout && (anchorCrossing || method !== 'shift')) {
+            const anchorX = padding + (anchorCrossing ? axisFraction(anchorCrossing) : 0) * anchorLayout.ribbonWidth;
+            let minStart = padding, maxEnd = padding + anchorLayout.ribbonWidth;
+
+            for (const layout of layouts) {
+                drawOffsets[layout.pathId] = 0;
+                if (layout.pathId === anchorId) continue;
+
+                if (method === 'shift') {
+                    const pathCrossings = targetsByPath[layout.pathId] || [];
+                    const match = pathCrossings.find(c =>
+                        crossingKey(c) === state.alignment.crossingKey
+                    );
+                    if (match) {
+                        const thisX = padding + axisFraction(match) * layout.ribbonWidth;
+                        drawOffsets[layout.pathId] = anchorX - thisX;
+                    }
+                } else {
+                    const path = paths.find(p => p.id === layout.pathId);
+                    warps[layout.pathId] = alignmentWarp(path, anchorPath, targetsByPath, layout, anchorLayout, padding);
+                }
+
+                const warp = warps[layout.pathId];
+                const start = warp ? warp[0].x : padding + drawOffsets[layout.pathId];
+                const end = warp ? warp[warp.length - 1].x : start + layout.ribbonWidth;
+                minStart = Math.min(minStart, start);
+                maxEnd = Math.max(maxEnd, end);
+            }
+
+            // Global shift so nothing has negative coordinates
+            const globalShift = minStart < 0 ? -minStart + padding : 0;
+            for (const id in drawOffsets) drawOffsets[id] += globalShift;
+            for (const id in warps) {
+                if (warps[id]) warps[id] = warps[id].map(k => ({ f: k.f, x: k.x + globalShift }));
+            }
+            totalCanvasWidth = maxEnd + globalShift + padding;
+            scrollTarget = anchorX + globalShift - viewportWidth / 2;
+        } else {
+            state.alignment = null; // invalid alignment, reset
+        }
+    }
+
+    paths.forEach((path, index) => {
+        const row = rows[index];
+        const ribbonCanvas = row.querySelector('.ribbon-row-canvas');
+        const decorCanvas = row.querySelector('.ribbon-decor-canvas');
+        const overlayCanvas = row.querySelector('.ribbon-overlay-canvas');
+        const crossings = crossingsByPath[path.id] || [];
+        const targets = targetsByPath[path.id] || [];
+
+        // Compute per-ribbon rendering options
+        const isAnchor = aligned && path.id === state.alignment.anchorPathId;
+        const drawOffset = drawOffsets[path.id] || 0;
+        let crossingPos = null;
+        if (aligned && !isAnchor) {
+            const match = targets.find(c =>
+                crossingKey(c) === state.alignment.crossingKey
+            );
+            if (match) crossingPos = axisFraction(match) * axisExtent(path);
+        }
+
+        const meta = layoutSingleRibbon(ribbonCanvas, path, maxExtent, {
+            drawOffset,
+            totalCanvasWidth: totalCanvasWidth || 0,
+            viewportWidth,
+            crossingPos,
+            isAnchor,
+            normalized,
+            warp: warps[path.id]
+        });
+
+        // Decorations go on their own layer so they show immediately
+        // while imagery streams in underneath
+        for (const layer of [decorCanvas, overlayCanvas]) {
+            layer.width = ribbonCanvas.width;
+            layer.height = ribbonCanvas.height;
+        }
+
+        // Attribute tracks stack below the imagery
+        const tracks = ribbonTracks(path, ranges);
+        const tracksHeight = ribbonTracksHeight(tracks);
+        const trackCanvas = row.querySelector('.ribbon-track-canvas');
+        trackCanvas.hidden = tracksHeight === 0;
+        trackCanvas.style.height = `${tracksHeight}px`;
+        trackCanvas.width = ribbonCanvas.width;
+        trackCanvas.height = tracksHeight * (window.devicePixelRatio || 1);
+
+        state.ribbonMeta.push({
+            pathId: path.id,
+            color: path.color,
+            padding: meta.layout.effectivePadding,
+            ribbonWidth: meta.ribbonWidth,
+            totalDistance: meta.totalDistance,
+            totalExtent: meta.totalExtent,
+            layout: meta.layout,
+            crossings: crossings.map(c => ({
+                ...c,
+                pixelX: ribbonX(meta.layout, axisFraction(c))
+            })),
+            overlaps: overlapsByPath[path.id] || [],
+            annotations: pathAnnotations(path),
+            // Crossings and shared-stretch ends, for hovering and aligning
+            alignTargets: targets.map(c => ({
+                ...c,
+                pixelX: ribbonX(meta.layout, axisFraction(c))
+            })),
+            canvas: ribbonCanvas,
+            decorCanvas: decorCanvas,
+            overlayCanvas: overlayCanvas,
+            trackCanvas: trackCanvas,
+            tracks: tracks,
+            tracksHeight: tracksHeight,
+            progressBar: row.querySelector('.ribbon-progress-bar'),
+            readout: row.querySelector('.ribbon-readout'),
+            row: row,
+            drawnView: null // view the imagery canvas currently shows
+        });
+    });
+
+    updateMapCrossingMarkers(crossingsByPath);
+    updateMapOverlapBands(overlapsByPath);
+
+    // Keep the zoom and position across re-renders; a fresh view starts
+    // fitted, centered on the alignment point when there is one
+    const contentWidth = totalCanvasWidth || viewportWidth;
+    if (!state.ribbonView) {
+        state.ribbonView = { scale: 1, offset: aligned ? Math.max(0, scrollTarget) : 0 };
+    }
+    state.ribbonView.contentWidth = contentWidth;
+    state.ribbonView.viewportWidth = viewportWidth;
+    clampRibbonView();
+
+    drawRibbonOverlays();
+    await drawAllRibbonImagery();
+}
+
+// DOM for one ribbon row: header plus stacked imagery, decoration and
+// hover canvases
+function createRibbonRow(path) {
+    const row = document.createElement('div');
+    row.className = 'ribbon-row';
+    row.innerHTML = `
+        <div class="ribbon-row-header">
+            <div class="ribbon-row-color" style="background: ${path.color}"></div>
+            ${path.group ? `<span class="ribbon-row-group">${escapeXml(path.group)}</span>` : ''}
+            <span class="ribbon-row-name">${escapeXml(path.name)}</span>
+            <span class="ribbon-row-distance">${ribbonHeaderLabel(path)}</span>
+            <label class="ribbon-row-corridor" title="Corridor width for this ribbon (blank = default)">
+                ±<input type="number" class="corridor-input" min="${CORRIDOR_MIN}" max="${CORRIDOR_MAX}" step="10"
+                    value="${path.corridorWidth || ''}" placeholder="${state.corridorWidth}">m
+            </label>
+        </div>
+        <div class="ribbon-canvas-wrapper">
+            <canvas class="ribbon-row-canvas"></canvas>
+            <canvas class="ribbon-decor-canvas"></canvas>
+            <canvas class="ribbon-overlay-canvas"></canvas>
+            <div class="ribbon-progress"><div class="ribbon-progress-bar"></div></div>
+            <div class="ribbon-readout" hidden></div>
+        </div>
+        <canvas class="ribbon-track-canvas" hidden></canvas>
+    `;
+    row.querySelector('.corridor-input').addEventListener('change', (e) => {
+        setPathCorridor(path.id, e.target.value);
+    });
+    elements.ribbonRows.appendChild(row);
+    return row;
+}
+
+// Ribbon view transform: screen x = content x * scale - offset
+const RIBBON_MAX_SCALE = 64;
+const RIBBON_IMAGERY_DELAY = 200; // ms after the last zoom/pan before refetching
+let ribbonImageryTimer = null;
+
+function viewX(x) {
+    return x * state.ribbonView.scale - state.ribbonView.offset;
+}
+
+function contentX(screenX) {
+    return (screenX + state.ribbonView.offset) / state.ribbonView.scale;
+}
+
+// A row's layout as seen through the current view
+function viewLayout(meta) {
+    const { scale } = state.ribbonView;
+    return {
+        ...meta.layout,
+        cssWidth: state.ribbonView.viewportWidth,
+        effectivePadding: viewX(meta.layout.effectivePadding),
+        ribbonWidth: meta.layout.ribbonWidth * scale,
+        warp: meta.layout.warp && meta.layout.warp.map(k => ({ f: k.f, x: viewX(k.x) })),
+        viewScale: scale
+    };
+}
+
+function clampRibbonView() {
+    const view = state.ribbonView;
+    view.scale = Math.min(RIBBON_MAX_SCALE, Math.max(1, view.scale));
+    const maxOffset = Math.max(0, view.contentWidth * view.scale - view.viewportWidth);
+    view.offset = Math.min(maxOffset, Math.max(0, view.offset));
+}
+
+// Zoom by factor keeping the content under screen x anchorX in place
+function zoomRibbonView(factor, anchorX) {
+    const view = state.ribbonView;
+    if (!view) return;
+    const anchor = contentX(anchorX);
+    view.scale = Math.min(RIBBON_MAX_SCALE, Math.max(1, view.scale * factor));
+    view.offset = anchor * view.scale - anchorX;
+    applyRibbonView();
+}
+
+function panRibbonView(dx) {
+    if (!state.ribbonView) return;
+    state.ribbonView.offset += dx;
+    applyRibbonView();
+}
+
+// Show a view change immediately by re-projecting the imagery already
+// drawn, then fetch imagery for the new view once interaction settles
+function applyRibbonView() {
+    clampRibbonView();
+    const dpr = window.devicePixelRatio || 1;
+    const { scale, offset } = state.ribbonView;
+    for (const meta of state.ribbonMeta) {
+        const previous = meta.drawnView;
+        if (!previous || (previous.scale === scale && previous.offset === offset)) continue;
+        const copy = document.createElement('canvas');
+        copy.width = meta.canvas.width;
+        copy.height = meta.canvas.height;
+        copy.getContext('2d').drawImage(meta.canvas, 0, 0);
+
+        const k = scale / previous.scale;
+        const ctx = meta.canvas.getContext('2d');
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.fillStyle = '#0d0d15';
+        ctx.fillRect(0, 0, meta.canvas.width, meta.canvas.height);
+        ctx.setTransform(k, 0, 0, 1, (previous.offset * k - offset) * dpr, 0);
+        ctx.drawImage(copy, 0, 0);
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        meta.drawnView = { scale, offset };
+    }
+    drawRibbonOverlays();
+
+    clearTimeout(ribbonImageryTimer);
+    ribbonImageryTimer = setTimeout(() => drawAllRibbonImagery(true), RIBBON_IMAGERY_DELAY);
+}
+
+// Decorations, crossing highlights and minimap for the current view
+function drawRibbonOverlays() {
+    const dpr = window.devicePixelRatio || 1;
+    for (const meta of state.ribbonMeta) {
+        const ctx = meta.decorCanvas.getContext('2d');
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, meta.decorCanvas.width, meta.decorCanvas.height);
+        ctx.scale(dpr, dpr);
+        const layout = viewLayout(meta);
+        drawRibbonDecorations(ctx, layout, meta.crossings, meta.overlaps, meta.tracks);
+        drawAlignmentPoints(ctx, meta, layout);
+        drawAnnotationPins(ctx, layout, meta.annotations);
+
+        const trackCtx = meta.trackCanvas.getContext('2d');
+        trackCtx.setTransform(1, 0, 0, 1, 0, 0);
+        trackCtx.clearRect(0, 0, meta.trackCanvas.width, meta.trackCanvas.height);
+        trackCtx.scale(dpr, dpr);
+        drawRibbonTracks(trackCtx, layout, meta.tracks);
+    }
+    drawCrossingHighlights();
+    drawWarpConnectors();
+    updateRibbonMinimap();
+}
+
+// Labeled pins for annotations near a ribbon's path
+function drawAnnotationPins(ctx, layout, annotations) {
+    const cy = layout.height / 2;
+    ctx.font = '10px Sora, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (const note of annotations) {
+        const x = ribbonX(layout, axisFraction(note));
+        const label = `${annotationIcon(note.icon)} ${note.text}`;
+        const width = ctx.measureText(label).width + 8;
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, 20);
+        ctx.lineTo(x, cy);
+        ctx.stroke();
+        ctx.fillStyle = '#ffffff';
+        ctx.beginPath();
+        ctx.arc(x, cy, 3, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = 'rgba(13, 13, 21, 0.85)';
+        ctx.fillRect(x - width / 2, 6, width, 14);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(label, x, 13);
+    }
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+}
+
+// SVG version of the annotation pins
+function annotationPinsToSvg(layout, annotations) {
+    const cy = layout.height / 2;
+    return annotations.map(note => {
+        const x = ribbonX(layout, axisFraction(note));
+        const label = `${annotationIcon(note.icon)} ${note.text}`;
+        const width = label.length * 6 + 8; // no text metrics here; roughly 6 px per character
+        return `<line x1="${x}" y1="20" x2="${x}" y2="${cy}" stroke="rgba(255,255,255,0.85)" stroke-width="1"/>` +
+            `<circle cx="${x}" cy="${cy}" r="3" fill="#ffffff"/>` +
+            `<rect x="${x - width / 2}" y="6" width="${width}" height="14" fill="rgba(13,13,21,0.85)"/>` +
+            `<text x="${x}" y="17" text-anchor="middle" fill="#ffffff" font-family="Sora, sans-serif" font-size="10">${escapeXml(label)}</text>`;
+    }).join('\n');
+}
+
+// White pins on user-picked alignment points, including a pair's first
+// point while the second is being picked
+function drawAlignmentPoints(ctx, meta, layout) {
+    const fractions = [];
+    if (state.alignment) {
+        for (const pair of state.alignment.pairs || []) {
+            if (pair.pathId === meta.pathId) fractions.push(pair.fraction);
+            if (state.alignment.anchorPathId === meta.pathId) fractions.push(pair.anchorFraction);
+        }
+    }
+    const pending = state.pendingAlignPoint;
+    if (pending && pending.pathId === meta.pathId) fractions.push(pending.fraction);
+
+    ctx.fillStyle = '#ffffff';
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+    ctx.lineWidth = 1;
+    for (const fraction of fractions) {
+        const x = ribbonX(layout, fraction);
+        ctx.beginPath();
+        ctx.moveTo(x, 10);
+        ctx.lineTo(x, layout.height - 10);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(x - 5, 2);
+        ctx.lineTo(x + 5, 2);
+        ctx.lineTo(x, 10);
+        ctx.closePath();
+        ctx.fill();
+    }
+}
+
+// Connector lines across the gaps between rows at every matched point of
+// a warped alignment, running from the anchor to each warped ribbon
+function drawWarpConnectors() {
+    const canvas = elements.ribbonConnectors;
+    const rows = elements.ribbonRows;
+    const warped = state.ribbonMeta.filter(meta => meta.layout.warp);
+    const anchorIndex = state.alignment
+        ? state.ribbonMeta.findIndex(meta => meta.pathId === state.alignment.anchorPathId)
+        : -1;
+    canvas.hidden = warped.length === 0 || anchorIndex === -1;
+    if (canvas.hidden) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    const width = rows.clientWidth;
+    const height = rows.scrollHeight;
+    canvas.style.width = width + 'px';
+    canvas.style.height = height + 'px';
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(dpr, dpr);
+
+    // Row canvas boxes in the scrolled coordinates of the row list
+    const origin = rows.getBoundingClientRect();
+    const boxes = state.ribbonMeta.map(meta => {
+        const rect = meta.canvas.getBoundingClientRect();
+        return {
+            left: rect.left - origin.left,
+            top: rect.top - origin.top + rows.scrollTop,
+            bottom: rect.bottom - origin.top + rows.scrollTop
+        };
+    });
+
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 3]);
+    ctx.globalAlpha = 0.8;
+    for (const meta of warped) {
+        const index = state.ribbonMeta.indexOf(meta);
+        const first = Math.min(index, anchorIndex);
+        const last = Math.max(index, anchorIndex);
+        ctx.strokeStyle = meta.color;
+        ctx.beginPath();
+        // End knots only extend the ribbon; the inner ones are matches
+        for (const knot of meta.layout.warp.slice(1, -1)) {
+            const x = viewX(knot.x);
+            if (x < 0 || x > state.ribbonView.viewportWidth) continue;
+            for (let g = first; g < last; g++) {
+                ctx.moveTo(boxes[g].left + x, boxes[g].bottom);
+                ctx.lineTo(boxes[g + 1].left + x, boxes[g + 1].top);
+            }
+        }
+        ctx.stroke();
+    }
+}
+
+// Stream imagery for the current view into all rows at once; the tile
+// scheduler bounds how many requests are actually in flight
+async function drawAllRibbonImagery(keepBackground = false) {
+    const generation = ++state.renderGeneration;
+    cancelStaleTileRequests(generation);
+    const isStale = () => generation !== state.renderGeneration;
+    const dpr = window.devicePixelRatio || 1;
+
+    await Promise.all(state.ribbonMeta.map(meta => {
+        const path = state.paths.find(p => p.id === meta.pathId);
+        if (!path) return null;
+        const ctx = meta.canvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        meta.drawnView = { scale: state.ribbonView.scale, offset: state.ribbonView.offset };
+        return drawRibbonImagery(ctx, path, viewLayout(meta), {
+            generation,
+            isStale,
+            keepBackground,
+            onProgress: (done, total) => updateRibbonProgress(meta.progressBar, done, total)
+        });
+    }));
+}
+
+// Overview strip: every ribbon at 1x with the visible window outlined.
+// Hidden while everything fits on screen.
+function updateRibbonMinimap() {
+    const view = state.ribbonView;
+    const visible = !!view && state.ribbonMeta.length > 0 &&
+        view.contentWidth * view.scale > view.viewportWidth + 1;
+    elements.ribbonMinimap.hidden = !visible;
+    if (!visible) return;
+
+    const canvas = elements.ribbonMinimapCanvas;
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(dpr, dpr);
+
+    const k = width / view.contentWidth;
+    const barHeight = Math.max(2, Math.min(6, (height - 4) / state.ribbonMeta.length - 2));
+    state.ribbonMeta.forEach((meta, i) => {
+        ctx.fillStyle = meta.color;
+        ctx.fillRect(meta.layout.effectivePadding * k, 2 + i * (barHeight + 2), meta.layout.ribbonWidth * k, barHeight);
+    });
+
+    const total = view.contentWidth * view.scale;
+    elements.ribbonMinimapWindow.style.left = `${(view.offset / total) * width}px`;
+    elements.ribbonMinimapWindow.style.width = `${(view.viewportWidth / total) * width}px`;
+}
+
+// Center the view on a point of the minimap
+function moveRibbonViewToMinimap(clientX) {
+    const view = state.ribbonView;
+    const rect = elements.ribbonMinimapCanvas.getBoundingClientRect();
+    const fraction = (clientX - rect.left) / rect.width;
+    view.offset = fraction * view.contentWidth * view.scale - view.viewportWidth / 2;
+    applyRibbonView();
+}
+
+// Screen x of a pointer event within the ribbon canvases
+function ribbonPointerX(e) {
+    const canvas = state.ribbonMeta[0] && state.ribbonMeta[0].canvas;
+    return canvas ? e.clientX - canvas.getBoundingClientRect().left : 0;
+}
+
+function updateRibbonProgress(bar, done, total) {
+    bar.style.width = `${(done / total) * 100}%`;
+    bar.parentElement.classList.toggle('done', done >= total);
+}
+
+// Length label shown in a ribbon row header
+function ribbonHeaderLabel(path) {
+    let label = formatDistance(path.distance, 2);
+    if (state.alignMode === 'time') label += ' · ' + formatDuration(pathDuration(path));
+    return label;
+}
+
+// Update crossing markers on the Leaflet map
+function updateMapCrossingMarkers(crossingsByPath) {
+    // Clear previous markers
+    if (state.crossingMarkers) {
+        state.crossingMarkers.forEach(m => state.map.removeLayer(m));
+    }
+    state.crossingMarkers = [];
+
+    for (const c of uniqueCrossings(crossingsByPath)) {
+        const marker = L.circleMarker([c.lat, c.lng], {
+            radius: 6,
+            color: '#ffffff',
+            fillColor: '#ffffff',
+            fillOpacity: 0.8,
+            weight: 2
+        }).addTo(state.map);
+        state.crossingMarkers.push(marker);
+    }
+}
+
+// Deduplicate crossings by location (each crossing produces entries on both
+// paths), collecting the ids of every path that passes through it
+function uniqueCrossings(crossingsByPath) {
+    const byKey = new Map();
+    for (const pathId in crossingsByPath) {
+        for (const c of crossingsByPath[pathId]) {
+            const key = crossingKey(c);
+            if (!byKey.has(key)) byKey.set(key, { key, lat: c.lat, lng: c.lng, pathIds: new Set() });
+            byKey.get(key).pathIds.add(Number(pathId));
+            byKey.get(key).pathIds.add(c.otherPathId);
+        }
+    }
+    return [...byKey.values()];
+}
+
+// Equirectangular projection to meters around a reference latitude,
+// accurate enough over the extent of one comparison
+function localProjection(refLat) {
+    const kx = 111320 * Math.cos(refLat * Math.PI / 180);
+    return (lat, lng) => ({ x: lng * kx, y: lat * 110540 });
+}
+
+// Shared stretches: places where two paths run within a tolerance of each
+// other for a while, e.g. along the same street. Strict crossings miss
+// these since parallel segments never intersect.
+const OVERLAP_MIN_LENGTH = 50; // meters; shorter contacts are just crossings
+const OVERLAP_TOLERANCE_MIN = 1;
+const OVERLAP_TOLERANCE_MAX = 200;
+
+function clampOverlapTolerance(meters) {
+    const value = Number(meters);
+    if (!isFinite(value) || value <= 0) return 25;
+    return Math.min(OVERLAP_TOLERANCE_MAX, Math.max(OVERLAP_TOLERANCE_MIN, Math.round(value)));
+}
+
+// Stretches of pathA that stay within tolerance meters of pathB. pathA is
+// sampled every half tolerance; each sample is matched to the nearest
+// point on pathB. Returns distances along both paths plus the end points.
+function findPathOverlaps(pathA, pathB, tolerance) {
+    const project = localProjection(pathA.geoPath[0][0]);
+    const a = pathA.geoPath.map(([lat, lng]) => project(lat, lng));
+    const b = pathB.geoPath.map(([lat, lng]) => project(lat, lng));
+
+    // Skip pairs whose bounding boxes are too far apart to ever touch
+    const box = points => points.reduce((r, p) => ({
+        minX: Math.min(r.minX, p.x), minY: Math.min(r.minY, p.y),
+        maxX: Math.max(r.maxX, p.x), maxY: Math.max(r.maxY, p.y)
+    }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+    const boxA = box(a), boxB = box(b);
+    if (boxA.minX > boxB.maxX + tolerance || boxB.minX > boxA.maxX + tolerance ||
+        boxA.minY > boxB.maxY + tolerance || boxB.minY > boxA.maxY + tolerance) {
+        return [];
+    }
+
+    const distA = computeCumulativeDistances(pathA.geoPath);
+    const distB = computeCumulativeDistances(pathB.geoPath);
+    const step = Math.max(2, tolerance / 2);
+    const index = cachedSegmentIndex(pathB.geoPath);
+    const dLat = tolerance / 110540;
+    const dLng = tolerance / (111320 * Math.cos(pathA.geoPath[0][0] * Math.PI / 180));
+
+    // Nearest point on pathB within tolerance: separation and distance
+    // along pathB (Infinity when nothing is that close)
+    const nearestOnB = (p, lat, lng) => {
+        let best = { distance: Infinity, along: 0 };
+        for (const j of querySegmentIndex(index, lat - dLat, lng - dLng, lat + dLat, lng + dLng)) {
+            const dx = b[j + 1].x - b[j].x, dy = b[j + 1].y - b[j].y;
+            const lengthSq = dx * dx + dy * dy;
+            const u = lengthSq > 0 ? Math.max(0, Math.min(1, ((p.x - b[j].x) * dx + (p.y - b[j].y) * dy) / lengthSq)) : 0;
+            const distance = Math.hypot(p.x - (b[j].x + u * dx), p.y - (b[j].y + u * dy));
+            if (distance < best.distance) best = { distance, along: distB[j] + u * (distB[j + 1] - distB[j]) };
+        }
+        return best;
+    };
+
+    const samples = [];
+    for (let i = 0; i < a.length - 1; i++) {
+        const n = Math.max(1, Math.ceil((distA[i + 1] - distA[i]) / step));
+        for (let k = 0; k < n; k++) samples.push({ i, t: k / n });
+    }
+    samples.push({ i: Math.max(0, a.length - 2), t: 1 });
+
+    const overlaps = [];
+    let run = null;
+    const minLength = Math.max(OVERLAP_MIN_LENGTH, tolerance * 2);
+    const closeRun = () => {
+        if (run && run.toA - run.fromA >= minLength && run.maxB - run.minB >= minLength / 2) overlaps.push(run);
+        run = null;
+    };
+    for (const { i, t } of samples) {
+        const j = Math.min(i + 1, a.length - 1);
+        const point = { x: a[i].x + t * (a[j].x - a[i].x), y: a[i].y + t * (a[j].y - a[i].y) };
+        const lat = pathA.geoPath[i][0] + t * (pathA.geoPath[j][0] - pathA.geoPath[i][0]);
+        const lng = pathA.geoPath[i][1] + t * (pathA.geoPath[j][1] - pathA.geoPath[i][1]);
+        const near = nearestOnB(point, lat, lng);
+        if (near.distance > tolerance) {
+            closeRun();
+            continue;
+        }
+        const along = distA[i] + t * (distA[j] - distA[i]);
+        if (!run) {
+            run = { fromA: along, startB: near.along, minB: near.along, maxB: near.along, start: { lat, lng } };
+        }
+        run.toA = along;
+        run.endB = near.along;
+        run.minB = Math.min(run.minB, near.along);
+        run.maxB = Math.max(run.maxB, near.along);
+        run.end = { lat, lng };
+    }
+    closeRun();
+    return overlaps;
+}
+
+// Elapsed-time fraction at a distance along a path (null without timestamps)
+function timeFractionAtDistance(path, distances, along) {
+    if (!hasTimes(path)) return null;
+    const duration = pathDuration(path);
+    if (duration <= 0) return 0;
+    let i = 0;
+    while (i < distances.length - 2 && distances[i + 1] < along) i++;
+    const span = distances[i + 1] - distances[i];
+    const t = span > 0 ? Math.max(0, Math.min(1, (along - distances[i]) / span)) : 0;
+    return (path.times[i] + t * (path.times[i + 1] - path.times[i]) - path.times[0]) / duration;
+}
+
+// Shared stretches for all path pairs, listed on both paths. Each entry
+// has start and end points (in the first path's direction of travel, so
+// on the second path start may lie after end) positioned like crossings.
+function computeAllOverlaps(paths, tolerance) {
+    const overlapsByPath = {};
+    paths.forEach(p => { overlapsByPath[p.id] = []; });
+
+    const endpoint = (path, distances, point, along) => ({
+        lat: point.lat,
+        lng: point.lng,
+        distFraction: distances[distances.length - 1] > 0 ? along / distances[distances.length - 1] : 0,
+        timeFraction: timeFractionAtDistance(path, distances, along)
+    });
+
+    const prints = paths.map(pathFingerprint);
+    for (let a = 0; a < paths.length; a++) {
+        for (let b = a + 1; b < paths.length; b++) {
+            const pathA = paths[a], pathB = paths[b];
+            const overlaps = cachedPair(overlapPairKey(prints[a], prints[b], tolerance),
+                () => findPathOverlaps(pathA, pathB, tolerance));
+            if (overlaps.length === 0) continue;
+            const distA = computeCumulativeDistances(pathA.geoPath);
+            const distB = computeCumulativeDistances(pathB.geoPath);
+            for (const o of overlaps) {
+                overlapsByPath[pathA.id].push({
+                    otherPathId: pathB.id,
+                    otherColor: pathB.color,
+                    length: o.toA - o.fromA,
+                    start: endpoint(pathA, distA, o.start, o.fromA),
+                    end: endpoint(pathA, distA, o.end, o.toA)
+                });
+                overlapsByPath[pathB.id].push({
+                    otherPathId: pathA.id,
+                    otherColor: pathA.color,
+                    length: o.maxB - o.minB,
+                    start: endpoint(pathB, distB, o.start, o.startB),
+                    end: endpoint(pathB, distB, o.end, o.endB)
+                });
+            }
+        }
+    }
+    return overlapsByPath;
+}
+
+// Start and end of each shared stretch as alignment targets shaped like
+// crossings; both paths use the same location, so their keys match
+function overlapEndpoints(overlaps) {
+    return overlaps.flatMap(o => [o.start, o.end].map(p => ({
+        ...p,
+        otherPathId: o.otherPathId,
+        otherColor: o.otherColor,
+        overlapEnd: true
+    })));
+}
+
+// Crossings plus shared-stretch ends: everything alignment can snap to
+function alignmentTargets(crossingsByPath, overlapsByPath) {
+    const targets = {};
+    for (const id in crossingsByPath) {
+        targets[id] = [...crossingsByPath[id], ...overlapEndpoints(overlapsByPath[id] || [])];
+    }
+    return targets;
+}
+
+// Part of a path between two fractions of its length
+function pathSlice(path, fromFraction, toFraction) {
+    const distances = computeCumulativeDistances(path.geoPath);
+    const total = distances[distances.length - 1];
+    const from = Math.min(fromFraction, toFraction) * total;
+    const to = Math.max(fromFraction, toFraction) * total;
+    const pointAt = along => {
+        let i = 0;
+        while (i < distances.length - 2 && distances[i + 1] < along) i++;
+        const span = distances[i + 1] - distances[i];
+        const t = span > 0 ? Math.max(0, Math.min(1, (along - distances[i]) / span)) : 0;
+        const [lat1, lng1] = path.geoPath[i];
+        const [lat2, lng2] = path.geoPath[i + 1];
+        return [lat1 + t * (lat2 - lat1), lng1 + t * (lng2 - lng1)];
+    };
+    const inner = path.geoPath.filter((_, i) => distances[i] > from && distances[i] < to);
+    return [pointAt(from), ...inner, pointAt(to)];
+}
+
+// Refresh crossing markers and shared-stretch bands on the map. Only the
+// latest call draws, so slow results for older paths never replace newer ones.
+let mapAnalysisToken = 0;
+
+async function updateMapAnalysis() {
+    const token = ++mapAnalysisToken;
+    const { crossingsByPath, overlapsByPath } = await analyzePaths(visiblePaths());
+    if (token !== mapAnalysisToken) return;
+    updateMapCrossingMarkers(crossingsByPath);
+    updateMapOverlapBands(overlapsByPath);
+}
+
+// Highlight shared stretches on the map, one band per pair
+function updateMapOverlapBands(overlapsByPath) {
+    if (state.overlapBands) {
+        state.overlapBands.forEach(band => state.map.removeLayer(band));
+    }
+    state.overlapBands = [];
+
+    for (const path of visiblePaths()) {
+        for (const o of overlapsByPath[path.id] || []) {
+            if (o.otherPathId < path.id) continue; // listed on both paths
+            const band = L.polyline(pathSlice(path, o.start.distFraction, o.end.distFraction), {
+                color: o.otherColor,
+                weight: 12,
+                opacity: 0.35,
+                lineCap: 'butt',
+                interactive: false
+            }).addTo(state.map);
+            state.overlapBands.push(band);
+        }
+    }
+}
+
+// Alignment methods other than a constant shift warp each ribbon
+// piecewise-linearly onto the anchor: matched pairs { f, target } give a
+// fraction of the ribbon and the fraction of the anchor it must sit
+// under.
+
+// How rows are aligned to the anchor; a shift means nothing when every
+// ribbon spans the full width, so normalized ribbons use all crossings
+function alignmentMethod() {
+    return state.alignMethod === 'shift' && state.ribbonScaling === 'normalized' ? 'crossings' : state.alignMethod;
+}
+
+// Every crossing (or shared-stretch end) a ribbon shares with the
+// anchor, as matched pairs
+function crossingPairs(pathId, anchorPathId, crossingsByPath) {
+    const anchorFractions = new Map();
+    for (const c of crossingsByPath[anchorPathId] || []) {
+        if (c.otherPathId === pathId) anchorFractions.set(crossingKey(c), axisFraction(c));
+    }
+    return (crossingsByPath[pathId] || [])
+        .filter(c => c.otherPathId === anchorPathId && anchorFractions.has(crossingKey(c)))
+        .map(c => ({ f: axisFraction(c), target: anchorFractions.get(crossingKey(c)), key: crossingKey(c) }));
+}
+
+// Dynamic time warping by geographic proximity: both paths are resampled
+// evenly along the axis and paired so that the summed distance between
+// paired samples is smallest. Works where paths run side by side without
+// ever intersecting.
+const DTW_SAMPLES = 150;
+const DTW_KNOT_STEP = 5; // keep every n-th matched sample as a warp knot
+
+function proximityPairs(path, anchorPath) {
+    const n = DTW_SAMPLES;
+    const fractions = Array.from({ length: n }, (_, i) => i / (n - 1));
+    const project = localProjection(anchorPath.geoPath[0][0]);
+    const toMeters = p => project(p.lat, p.lng);
+    const a = sampleAlongAxis(path, fractions).map(toMeters);
+    const b = sampleAlongAxis(anchorPath, fractions).map(toMeters);
+
+    const cost = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            const d = Math.hypot(a[i].x - b[j].x, a[i].y - b[j].y);
+            let best = 0;
+            if (i > 0 && j > 0) best = Math.min(cost[(i - 1) * n + j - 1], cost[(i - 1) * n + j], cost[i * n + j - 1]);
+            else if (i > 0) best = cost[(i - 1) * n + j];
+            else if (j > 0) best = cost[j - 1];
+            cost[i * n + j] = d + best;
+        }
+    }
+
+    // Walk the cheapest path back from the ends, keeping diagonal steps
+    // (where both ribbons advance) as pairs
+    const pairs = [];
+    let i = n - 1, j = n - 1;
+    while (i > 0 && j > 0) {
+        const diagonal = cost[(i - 1) * n + j - 1];
+        const up = cost[(i - 1) * n + j];
+        const left = cost[i * n + j - 1];
+        if (diagonal <= up && diagonal <= left) {
+            i--;
+            j--;
+            pairs.push({ f: fractions[i], target: fractions[j] });
+        } else if (up < left) {
+            i--;
+        } else {
+            j--;
+        }
+    }
+    pairs.reverse();
+    return pairs.filter((_, k) => k % DTW_KNOT_STEP === 0);
+}
+
+// Keep the largest set of pairs that increase together, so the ribbon
+// never folds back on itself. Pinned pairs (the selected crossing and
+// user-picked points) are always kept when consistent with each other.
+function monotonePairs(pairs, pinned = []) {
+    const inside = p => p.f > 0 && p.f < 1 && p.target > 0 && p.target < 1;
+    const byFraction = (a, b) => a.f - b.f || a.target - b.target;
+    const keptPinned = longestMonotonePairs(pinned.filter(inside).sort(byFraction));
+    const free = pairs.filter(p => inside(p) &&
+        keptPinned.every(q => (p.f - q.f) * (p.target - q.target) > 0));
+    return longestMonotonePairs([...keptPinned, ...free].sort(byFraction));
+}
+
+// Longest subsequence of pairs (sorted by f) whose targets also strictly
+// increase
+function longestMonotonePairs(pairs) {
+    const length = pairs.map(() => 1);
+    const previous = pairs.map(() => -1);
+    let best = -1;
+    for (let i = 0; i < pairs.length; i++) {
+        for (let j = 0; j < i; j++) {
+            if (pairs[j].f < pairs[i].f && pairs[j].target < pairs[i].target && length[j] + 1 > length[i]) {
+                length[i] = length[j] + 1;
+                previous[i] = j;
             }
-            segIdx = j - 1;
         }
-        
-        const segStart = distances[segIdx];
-        const segEnd = distances[segIdx + 1] || distances[segIdx];
+        if (best < 0 || length[i] > length[best]) best = i;
+    }
+    const result = [];
+    for (let i = best; i >= 0; i = previous[i]) result.unshift(pairs[i]);
+    return result;
+}
+
+// Warp knots placing each pair's fraction under its anchor position.
+// With pinned ends the ribbon spans exactly the anchor; otherwise the
+// stretches before the first and after the last match keep their own
+// scale. Returns null when there is nothing to match.
+function warpKnots(pairs, anchorStart, anchorWidth, ribbonWidth, pinEnds) {
+    if (pairs.length === 0) return null;
+    const knots = pairs.map(p => ({ f: p.f, x: anchorStart + p.target * anchorWidth }));
+    const first = knots[0], last = knots[knots.length - 1];
+    return [
+        { f: 0, x: pinEnds ? anchorStart : first.x - first.f * ribbonWidth },
+        ...knots,
+        { f: 1, x: pinEnds ? anchorStart + anchorWidth : last.x + (1 - last.f) * ribbonWidth }
+    ];
+}
+
+// Warp of one ribbon onto the anchor for the active alignment method
+function alignmentWarp(path, anchorPath, crossingsByPath, layout, anchorLayout, padding) {
+    const method = alignmentMethod();
+    const { crossingKey: selectedKey, pairs: userPairs = [] } = state.alignment;
+    const pinned = userPairs
+        .filter(p => p.pathId === path.id)
+        .map(p => ({ f: p.fraction, target: p.anchorFraction }));
+
+    let candidates;
+    if (method === 'proximity') {
+        candidates = proximityPairs(path, anchorPath);
+    } else {
+        candidates = crossingPairs(path.id, anchorPath.id, crossingsByPath);
+        const selected = candidates.find(p => p.key === selectedKey);
+        if (selected) pinned.push(selected);
+    }
+
+    const pinEnds = method === 'proximity' || state.ribbonScaling === 'normalized';
+    return warpKnots(monotonePairs(candidates, pinned), padding, anchorLayout.ribbonWidth, layout.ribbonWidth, pinEnds);
+}
+
+// Size a ribbon canvas and compute where its imagery and decorations go
+function layoutSingleRibbon(canvas, pathData, maxExtent, options = {}) {
+    const drawOffset = options.drawOffset || 0;
+    const totalCanvasWidth = options.totalCanvasWidth || 0;
+    const vpWidth = options.viewportWidth || 0;
+    const crossingPos = options.crossingPos; // null = absolute labels
+    const isAnchor = options.isAnchor || false;
+    const normalized = options.normalized || false; // full width regardless of length
+    const warp = options.warp || null;
+
+    const dpr = window.devicePixelRatio || 1;
+    const cssWidth = totalCanvasWidth || canvas.clientWidth; // content width
+    const height = canvas.clientHeight;
+
+    // The canvas itself only spans the viewport; the view transform
+    // decides which part of the content it shows
+    canvas.width = canvas.clientWidth * dpr;
+    canvas.height = height * dpr;
+
+    const totalDistance = pathData.distance;
+    const axis = computeAxisPositions(pathData);
+    const totalExtent = axis[axis.length - 1];
+
+    // Ribbon dimensions - use viewport width for proportional sizing
+    const padding = 20;
+    const layoutWidth = vpWidth || cssWidth;
+    const maxRibbonWidth = layoutWidth - padding * 2;
+    const corridorWidth = pathCorridor(pathData);
+    const { zoom, halfWidth } = corridorZoom(pathData, corridorWidth, Math.max(1, (height - 20) / 2));
+    const layout = {
+        cssWidth,
+        height,
+        effectivePadding: warp ? warp[0].x : padding + drawOffset,
+        ribbonWidth: warp
+            ? warp[warp.length - 1].x - warp[0].x
+            : (normalized ? maxRibbonWidth : (totalExtent / maxExtent) * maxRibbonWidth),
+        warp, // piecewise-linear [{ f, x }] replacing the uniform scale
+        totalExtent,
+        crossingPos,
+        isAnchor,
+        color: pathData.color,
+        corridorWidth,
+        zoom,
+        halfWidth // corridor half-width in tile pixels at zoom
+    };
+
+    return { padding, ribbonWidth: layout.ribbonWidth, totalDistance, totalExtent, layout };
+}
+
+// Draw the unrolled map imagery of a path with the selected renderer.
+// Imagery is drawn as soon as its tiles arrive; drawing stops once
+// isStale() reports that a newer render has started.
+async function drawRibbonImagery(ctx, pathData, layout, options = {}) {
+    const { generation = Infinity, isStale = () => false, onProgress = null, keepBackground = false } = options;
+    if (!keepBackground) {
+        ctx.fillStyle = '#0d0d15';
+        ctx.fillRect(0, 0, layout.cssWidth, layout.height);
+    }
+
+    const draw = state.ribbonRenderer === 'strips' ? drawRibbonStrips : drawRibbonMesh;
+    await draw(ctx, pathData, layout, { generation, isStale, onProgress });
+}
+
+// Piecewise-linear lookup in knots sorted by both keys, extended linearly
+// past either end
+function interpolateKnots(knots, from, to, value) {
+    let i = 0;
+    while (i < knots.length - 2 && knots[i + 1][from] < value) i++;
+    const a = knots[i], b = knots[i + 1];
+    const span = b[from] - a[from];
+    return span > 0 ? a[to] + ((value - a[from]) / span) * (b[to] - a[to]) : a[to];
+}
+
+// Canvas x of a fraction of the ribbon's length
+function ribbonX(layout, fraction) {
+    return layout.warp
+        ? interpolateKnots(layout.warp, 'f', 'x', fraction)
+        : layout.effectivePadding + fraction * layout.ribbonWidth;
+}
+
+// Fraction of the ribbon's length drawn at canvas x (outside 0..1 off the ends)
+function ribbonFraction(layout, x) {
+    return layout.warp
+        ? interpolateKnots(layout.warp, 'x', 'f', x)
+        : (x - layout.effectivePadding) / layout.ribbonWidth;
+}
+
+// Part of a ribbon inside the canvas, as fractions of its length
+function visibleRange(layout) {
+    const from = Math.max(0, ribbonFraction(layout, 0));
+    const to = Math.min(1, ribbonFraction(layout, layout.cssWidth));
+    return to > from ? { from, to } : null;
+}
+
+// count columns spread evenly across the visible part of a ribbon: their
+// canvas x and the fraction of the ribbon's length drawn there
+function ribbonColumns(layout, range, count) {
+    const x0 = ribbonX(layout, range.from);
+    const x1 = ribbonX(layout, range.to);
+    const xs = Array.from({ length: count }, (_, i) => x0 + (x1 - x0) * (i / (count - 1)));
+    return { xs, fractions: xs.map(x => Math.max(0, Math.min(1, ribbonFraction(layout, x)))) };
+}
+
+// Points at increasing fractions of the ribbon's length along the active
+// axis, so in time mode slow stretches of the route get more of it
+function sampleAlongAxis(pathData, fractions) {
+    const geoPath = pathData.geoPath;
+    const axis = computeAxisPositions(pathData);
+    const totalExtent = axis[axis.length - 1];
+    const samples = [];
+    let segIdx = 0;
+    for (const fraction of fractions) {
+        const target = fraction * totalExtent;
+        while (segIdx < axis.length - 2 && axis[segIdx + 1] < target) segIdx++;
+
+        const segStart = axis[segIdx];
+        const segEnd = axis[segIdx + 1] || axis[segIdx];
         const segLen = segEnd - segStart;
-        const t = segLen > 0 ? (targetDist - segStart) / segLen : 0;
-        
+        const t = segLen > 0 ? (target - segStart) / segLen : 0;
+
         const [lat1, lng1] = geoPath[segIdx];
         const [lat2, lng2] = geoPath[Math.min(segIdx + 1, geoPath.length - 1)];
-        
+
         const lat = lat1 + t * (lat2 - lat1);
         const lng = lng1 + t * (lng2 - lng1);
-        const heading = Math.atan2(lng2 - lng1, lat2 - lat1);
-        
-        samplePoints.push({ lat, lng, heading });
+        let heading = Math.atan2(lng2 - lng1, lat2 - lat1);
+        // Stationary segments (possible in time mode) keep the previous heading
+        if (lat1 === lat2 && lng1 === lng2 && samples.length > 0) {
+            heading = samples[samples.length - 1].heading;
+        }
+
+        samples.push({ lat, lng, heading });
     }
+    return samples;
+}
+
+const RIBBON_MAX_DETAIL_ZOOM = 4; // extra tile zoom levels allowed when zoomed in
+
+// Zooming the view stretches imagery along the track, so pick more
+// detailed tiles than the corridor alone needs (within limits)
+function ribbonDetailZoom(pathData, layout) {
+    const alongZoom = Math.ceil(Math.log2(metersPerPixelAtZoom0(pathData) * layout.ribbonWidth / pathData.distance));
+    return Math.min(layout.zoom + RIBBON_MAX_DETAIL_ZOOM, maxTileZoom(), Math.max(layout.zoom, alongZoom));
+}
+
+// Fast fallback renderer: one rotated rectangular strip per sample
+async function drawRibbonStrips(ctx, pathData, layout, { generation, isStale, onProgress }) {
+    const { height } = layout;
+    const ribbonHeight = height - 20;
+    const tileSize = 256;
+    const zoom = ribbonDetailZoom(pathData, layout);
+    const halfWidth = layout.halfWidth * Math.pow(2, zoom - layout.zoom);
+    const scale = (ribbonHeight / 2) / halfWidth; // fit the corridor to the ribbon
+    const range = visibleRange(layout);
+    if (!range) return;
+    const startX = ribbonX(layout, range.from);
+    const visibleWidth = ribbonX(layout, range.to) - startX;
+
+    const numSegments = Math.min(80, Math.max(20, Math.floor(visibleWidth / 8)));
+    const segmentWidth = Math.ceil(visibleWidth / numSegments);
+    const samplePoints = sampleAlongAxis(pathData, ribbonColumns(layout, range, numSegments).fractions);
 
     // Smooth headings to reduce strip-to-strip seams
     if (samplePoints.length >= 3) {
@@ -769,135 +5684,787 @@ async function renderSingleRibbon(canvas, pathData, maxDistance, crossings = [],
         }
     }
 
-    const zoom = Math.min(state.map.getZoom() + 1, 17);
-    
-    function latLngToTilePixel(lat, lng, z) {
-        const scale = Math.pow(2, z);
-        const worldX = ((lng + 180) / 360) * tileSize * scale;
-        const latRad = lat * Math.PI / 180;
-        const worldY = ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * tileSize * scale;
-        return {
-            tileX: Math.floor(worldX / tileSize),
-            tileY: Math.floor(worldY / tileSize),
-            pixelX: worldX % tileSize,
-            pixelY: worldY % tileSize
-        };
+    // Block of tiles around each sample, large enough for its rotated strip
+    // (3x3 unless detail tiles make the corridor wider than a tile)
+    const reach = Math.hypot(halfWidth, segmentWidth / 2 / scale);
+    const radius = Math.max(1, Math.ceil(reach / tileSize));
+    const offsets = [];
+    for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) offsets.push({ dx, dy });
+    }
+
+    // Reusable canvases for tile compositing and strip extraction
+    const tempCanvas = document.createElement('canvas');
+    const tempSize = tileSize * (2 * radius + 1);
+    tempCanvas.width = tempSize;
+    tempCanvas.height = tempSize;
+    const tempCtx = tempCanvas.getContext('2d');
+
+    const stripCanvas = document.createElement('canvas');
+    stripCanvas.width = segmentWidth;
+    stripCanvas.height = ribbonHeight;
+    const stripCtx = stripCanvas.getContext('2d');
+
+    // Draw segments. All tile requests are queued up front; each strip is
+    // composited once its block has arrived.
+    let done = 0;
+    if (onProgress) onProgress(done, samplePoints.length);
+    await Promise.all(samplePoints.map(async (point, i) => {
+        const tileInfo = latLngToTilePixel(point.lat, point.lng, zoom);
+        const tiles = await Promise.all(offsets.map(offset =>
+            getTile(tileInfo.tileX + offset.dx, tileInfo.tileY + offset.dy, zoom, generation)
+        ));
+        if (isStale()) return;
+
+        tempCtx.clearRect(0, 0, tempSize, tempSize);
+        offsets.forEach((offset, k) => {
+            if (!tiles[k]) return;
+            const drawX = (offset.dx * tileSize) + (tempSize / 2 - tileInfo.pixelX);
+            const drawY = (offset.dy * tileSize) + (tempSize / 2 - tileInfo.pixelY);
+            tempCtx.drawImage(tiles[k], drawX, drawY);
+        });
+
+        stripCtx.setTransform(1, 0, 0, 1, 0, 0);
+        stripCtx.clearRect(0, 0, segmentWidth, ribbonHeight);
+        stripCtx.translate(segmentWidth / 2, ribbonHeight / 2);
+        stripCtx.scale(scale, scale);
+        stripCtx.rotate(-point.heading + Math.PI / 2);
+        stripCtx.drawImage(tempCanvas, -tempSize / 2, -tempSize / 2);
+
+        ctx.drawImage(stripCanvas, startX + i * segmentWidth, 10);
+        if (onProgress) onProgress(++done, samplePoints.length);
+    }));
+}
+
+// Continuous mesh renderer. The ribbon is a grid of triangles laid along
+// the path: columns at evenly spaced samples, rows offset along smoothed
+// normals to either side. Each triangle maps its patch of tile imagery
+// into the ribbon with an affine warp, so neighbouring triangles share
+// edges and the ribbon has no seams at any sample density.
+const MESH_ROWS = 4;
+const MESH_MIN_ADVANCE = 0.05; // source px an offset vertex must move forward
+
+async function drawRibbonMesh(ctx, pathData, layout, { generation, isStale, onProgress }) {
+    const { height } = layout;
+    const ribbonHeight = height - 20;
+    const tileSize = 256;
+    const range = visibleRange(layout);
+    if (!range) return;
+
+    const zoom = ribbonDetailZoom(pathData, layout);
+    const halfWidth = layout.halfWidth * Math.pow(2, zoom - layout.zoom);
+
+    const visibleWidth = ribbonX(layout, range.to) - ribbonX(layout, range.from);
+    const count = Math.min(600, Math.max(2, Math.ceil(visibleWidth / 4) + 1));
+    const columns = ribbonColumns(layout, range, count);
+    const centers = sampleAlongAxis(pathData, columns.fractions)
+        .map(p => latLngToWorldPixel(p.lat, p.lng, zoom));
+    const normals = meshNormals(centers, halfWidth);
+    const grid = meshVertices(centers, normals, halfWidth);
+    const destX = i => columns.xs[i];
+    const destY = r => 10 + (r / MESH_ROWS) * ribbonHeight;
+
+    let done = 0;
+    const cells = count - 1;
+    if (onProgress) onProgress(done, cells);
+    await Promise.all(Array.from({ length: cells }, async (_, i) => {
+        // Tiles under this column of the mesh
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const row of grid) {
+            for (const v of [row[i], row[i + 1]]) {
+                minX = Math.min(minX, v.x);
+                minY = Math.min(minY, v.y);
+                maxX = Math.max(maxX, v.x);
+                maxY = Math.max(maxY, v.y);
+            }
+        }
+        const tx0 = Math.floor(minX / tileSize), ty0 = Math.floor(minY / tileSize);
+        const tx1 = Math.floor(maxX / tileSize), ty1 = Math.floor(maxY / tileSize);
+        const requests = [];
+        for (let tx = tx0; tx <= tx1; tx++) {
+            for (let ty = ty0; ty <= ty1; ty++) {
+                requests.push(getTile(tx, ty, zoom, generation).then(img => img && {
+                    img, x: (tx - tx0) * tileSize, y: (ty - ty0) * tileSize
+                }));
+            }
+        }
+        const tiles = (await Promise.all(requests)).filter(Boolean);
+        if (isStale()) return;
+
+        // Source coordinates relative to the column's first tile keep
+        // canvas transforms precise at high zoom levels
+        const ox = tx0 * tileSize, oy = ty0 * tileSize;
+        const src = (r, j) => ({ x: grid[r][j].x - ox, y: grid[r][j].y - oy });
+        const dst = (r, j) => ({ x: destX(j), y: destY(r) });
+        if (tiles.length > 0) {
+            for (let r = 0; r < MESH_ROWS; r++) {
+                drawWarpedTriangle(ctx, tiles,
+                    [src(r, i), src(r, i + 1), src(r + 1, i)],
+                    [dst(r, i), dst(r, i + 1), dst(r + 1, i)]);
+                drawWarpedTriangle(ctx, tiles,
+                    [src(r, i + 1), src(r + 1, i + 1), src(r + 1, i)],
+                    [dst(r, i + 1), dst(r + 1, i + 1), dst(r + 1, i)]);
+            }
+        }
+        if (onProgress) onProgress(++done, cells);
+    }));
+}
+
+// Unit normals pointing to the left of travel (the top of the ribbon),
+// from tangents averaged over a Gaussian window about as wide as the
+// ribbon so that offsets on the inside of bends rarely cross
+function meshNormals(centers, halfWidth) {
+    const n = centers.length;
+    const arc = [0];
+    for (let i = 1; i < n; i++) {
+        arc.push(arc[i - 1] + Math.hypot(centers[i].x - centers[i - 1].x, centers[i].y - centers[i - 1].y));
+    }
+
+    const tangents = centers.map((_, i) => {
+        const a = centers[Math.max(0, i - 1)];
+        const b = centers[Math.min(n - 1, i + 1)];
+        const len = Math.hypot(b.x - a.x, b.y - a.y);
+        return len > 0 ? { x: (b.x - a.x) / len, y: (b.y - a.y) / len } : null;
+    });
+    // Stationary samples borrow the nearest known direction
+    for (let i = 1; i < n; i++) tangents[i] = tangents[i] || tangents[i - 1];
+    for (let i = n - 2; i >= 0; i--) tangents[i] = tangents[i] || tangents[i + 1];
+
+    const sigma = halfWidth / 2;
+    return tangents.map((t, i) => {
+        if (!t) return { x: 0, y: -1 };
+        let sx = 0, sy = 0;
+        for (let j = 0; j < n; j++) {
+            const ds = arc[j] - arc[i];
+            if (Math.abs(ds) > 3 * sigma) continue;
+            const w = Math.exp(-(ds * ds) / (2 * sigma * sigma));
+            sx += tangents[j].x * w;
+            sy += tangents[j].y * w;
+        }
+        const len = Math.hypot(sx, sy);
+        const smooth = len > 1e-6 ? { x: sx / len, y: sy / len } : t;
+        return { x: smooth.y, y: -smooth.x };
+    });
+}
+
+// Mesh vertices in world pixels, grid[row][sample], row 0 on the left.
+// Where a tight turn makes an offset row fold back on itself the vertex
+// is held just ahead of its predecessor, squeezing the inside of the
+// corner instead of drawing its imagery twice.
+function meshVertices(centers, normals, halfWidth) {
+    const grid = [];
+    for (let r = 0; r <= MESH_ROWS; r++) {
+        const offset = halfWidth * (1 - 2 * r / MESH_ROWS);
+        const row = [];
+        for (let i = 0; i < centers.length; i++) {
+            const normal = normals[i];
+            let x = centers[i].x + normal.x * offset;
+            let y = centers[i].y + normal.y * offset;
+            if (i > 0) {
+                const prev = row[i - 1];
+                const tx = -normal.y, ty = normal.x;
+                const advance = (x - prev.x) * tx + (y - prev.y) * ty;
+                if (advance < MESH_MIN_ADVANCE) {
+                    x = prev.x + tx * MESH_MIN_ADVANCE;
+                    y = prev.y + ty * MESH_MIN_ADVANCE;
+                }
+            }
+            row.push({ x, y });
+        }
+        grid.push(row);
+    }
+    return grid;
+}
+
+// Draw the tile imagery under the source triangle into the destination
+// triangle using the affine map between them
+function drawWarpedTriangle(ctx, tiles, src, dst) {
+    const [s0, s1, s2] = src;
+    const [d0, d1, d2] = dst;
+    const sx1 = s1.x - s0.x, sy1 = s1.y - s0.y;
+    const sx2 = s2.x - s0.x, sy2 = s2.y - s0.y;
+    const det = sx1 * sy2 - sx2 * sy1;
+    if (Math.abs(det) < 1e-9) return;
+
+    const dx1 = d1.x - d0.x, dy1 = d1.y - d0.y;
+    const dx2 = d2.x - d0.x, dy2 = d2.y - d0.y;
+    const a = (dx1 * sy2 - dx2 * sy1) / det;
+    const c = (dx2 * sx1 - dx1 * sx2) / det;
+    const b = (dy1 * sy2 - dy2 * sy1) / det;
+    const d = (dy2 * sx1 - dy1 * sx2) / det;
+    const e = d0.x - a * s0.x - c * s0.y;
+    const f = d0.y - b * s0.x - d * s0.y;
+
+    // Grow the clip half a pixel so antialiased edges of neighbouring
+    // triangles overlap rather than leaving hairline gaps
+    const cx = (d0.x + d1.x + d2.x) / 3;
+    const cy = (d0.y + d1.y + d2.y) / 3;
+    ctx.save();
+    ctx.beginPath();
+    dst.forEach((p, k) => {
+        const len = Math.hypot(p.x - cx, p.y - cy) || 1;
+        const x = p.x + ((p.x - cx) / len) * 0.5;
+        const y = p.y + ((p.y - cy) / len) * 0.5;
+        if (k === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+    });
+    ctx.closePath();
+    ctx.clip();
+    ctx.transform(a, b, c, d, e, f);
+    for (const tile of tiles) ctx.drawImage(tile.img, tile.x, tile.y);
+    ctx.restore();
+}
+
+// Axis tick positions and labels for a ribbon, relative to the
+// alignment crossing when one is active
+function ribbonMarkers(layout) {
+    const { totalExtent, crossingPos, isAnchor } = layout;
+    // Zoomed-in views keep roughly the same on-screen tick spacing
+    const markerCount = Math.max(4, Math.round(4 * (layout.viewScale || 1)));
+    const useRelative = crossingPos != null && !isAnchor;
+    const markers = [];
+    for (let i = 0; i <= markerCount; i++) {
+        const x = ribbonX(layout, i / markerCount);
+        const absPos = (i / markerCount) * totalExtent;
+        let label;
+        if (useRelative) {
+            const rel = absPos - crossingPos;
+            const sign = rel >= 0 ? '+' : '-';
+            label = sign + formatAxisValue(Math.abs(rel)).replace(' ', '');
+        } else {
+            label = formatAxisValue(absPos).replace(' ', '');
+        }
+        markers.push({ x, label: i < markerCount ? label : null });
+    }
+    return markers;
+}
+
+// Screen span of a shared stretch on a ribbon
+function overlapSpan(layout, overlap) {
+    const x0 = ribbonX(layout, axisFraction(overlap.start));
+    const x1 = ribbonX(layout, axisFraction(overlap.end));
+    return { x: Math.min(x0, x1), width: Math.abs(x1 - x0) };
+}
+
+// Draw shared stretches, centerline (colored by a centerline track if
+// there is one), axis markers and crossings over the ribbon imagery
+function drawRibbonDecorations(ctx, layout, crossings, overlaps = [], tracks = []) {
+    const { height, effectivePadding, ribbonWidth, color } = layout;
+
+    // Shared stretches: bands in the other path's color
+    for (const overlap of overlaps) {
+        const { x, width } = overlapSpan(layout, overlap);
+        ctx.fillStyle = overlap.otherColor;
+        ctx.globalAlpha = 0.22;
+        ctx.fillRect(x, 10, width, height - 20);
+        ctx.globalAlpha = 0.9;
+        ctx.fillRect(x, 10, width, 3);
+        ctx.fillRect(x, height - 13, width, 3);
+        ctx.globalAlpha = 1;
+    }
+
+    // Draw path line
+    const centerline = tracks.find(t => t.style === 'centerline');
+    if (centerline) {
+        ctx.lineWidth = 4;
+        for (const segment of centerlineSegments(layout, centerline)) {
+            ctx.strokeStyle = segment.color;
+            ctx.beginPath();
+            ctx.moveTo(segment.x0, height / 2);
+            ctx.lineTo(segment.x1 + 0.5, height / 2);
+            ctx.stroke();
+        }
+    } else {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 3;
+        ctx.shadowColor = color;
+        ctx.shadowBlur = 6;
+        ctx.beginPath();
+        ctx.moveTo(effectivePadding, height / 2);
+        ctx.lineTo(effectivePadding + ribbonWidth, height / 2);
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+    }
+    
+    // Distance markers
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.font = '9px JetBrains Mono, monospace';
+    for (const marker of ribbonMarkers(layout)) {
+        ctx.fillRect(marker.x, height - 8, 1, 4);
+        if (marker.label) ctx.fillText(marker.label, marker.x + 3, height - 3);
+    }
+
+    // Draw crossing markers
+    for (const crossing of crossings) {
+        const x = ribbonX(layout, axisFraction(crossing));
+
+        // Dashed vertical line in the other path's color
+        ctx.strokeStyle = crossing.otherColor;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(x, 10);
+        ctx.lineTo(x, height - 8);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Diamond marker at the centerline
+        const cy = height / 2;
+        const sz = 5;
+        ctx.fillStyle = crossing.otherColor;
+        ctx.beginPath();
+        ctx.moveTo(x, cy - sz);
+        ctx.lineTo(x + sz, cy);
+        ctx.lineTo(x, cy + sz);
+        ctx.lineTo(x - sz, cy);
+        ctx.closePath();
+        ctx.fill();
+    }
+}
+
+// Attribute tracks: per-point values (elevation, speed, heart rate, any
+// numeric import column) drawn under each ribbon with the ribbon's own x
+// mapping, so they follow zoom and alignment warps
+const ATTRIBUTE_INFO = {
+    elevation: { label: 'Elevation', unit: 'm' },
+    speed: { label: 'Speed', unit: 'km/h' },
+    heartRate: { label: 'Heart rate', unit: 'bpm' },
+    cadence: { label: 'Cadence', unit: 'rpm' },
+    power: { label: 'Power', unit: 'W' },
+    temperature: { label: 'Temperature', unit: '°C' }
+};
+const TRACK_STYLES = { off: 'Off', line: 'Line chart', heatmap: 'Heatmap', centerline: 'Centerline color' };
+const TRACK_HEIGHTS = { line: 44, heatmap: 18, centerline: 16 }; // centerline only needs its legend
+const TRACK_RAMP = [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]];
+const SPEED_WINDOW = 2; // points either side averaged into a speed
+
+function attributeInfo(key) {
+    return ATTRIBUTE_INFO[key] || { label: key, unit: '' };
+}
+
+// Speed in km/h at each point from timestamps, averaged over neighbouring
+// segments to damp GPS jitter
+function derivedSpeed(path) {
+    const distances = computeCumulativeDistances(path.geoPath);
+    const n = path.geoPath.length;
+    return path.geoPath.map((_, i) => {
+        const a = Math.max(0, i - SPEED_WINDOW), b = Math.min(n - 1, i + SPEED_WINDOW);
+        const seconds = (path.times[b] - path.times[a]) / 1000;
+        return seconds > 0 ? ((distances[b] - distances[a]) / seconds) * 3.6 : 0;
+    });
+}
+
+// Per-point values of an attribute: stored with the path, or speed
+// derived from timestamps; null when the path has none
+function attributeValues(path, key) {
+    const stored = path.attributes && path.attributes[key];
+    if (Array.isArray(stored) && stored.length === path.geoPath.length) return stored;
+    if (key === 'speed' && hasTimes(path)) return derivedSpeed(path);
+    return null;
+}
+
+// Attributes any path can show, known ones first
+function availableAttributes() {
+    const keys = new Set();
+    for (const path of state.paths) {
+        for (const key in path.attributes || {}) {
+            if (attributeValues(path, key)) keys.add(key);
+        }
+        if (hasTimes(path)) keys.add('speed');
+    }
+    const known = Object.keys(ATTRIBUTE_INFO);
+    return [...keys].sort((a, b) =>
+        ((known.indexOf(a) + 1) || Infinity) - ((known.indexOf(b) + 1) || Infinity) || a.localeCompare(b));
+}
+
+// Value range of each enabled attribute across all paths, so rows share
+// one scale
+function trackRanges(paths) {
+    const ranges = {};
+    for (const { key } of state.ribbonTracks) {
+        let min = Infinity, max = -Infinity;
+        for (const path of paths) {
+            for (const value of attributeValues(path, key) || []) {
+                min = Math.min(min, value);
+                max = Math.max(max, value);
+            }
+        }
+        if (min <= max) ranges[key] = { min, max: max > min ? max : min + 1 };
+    }
+    return ranges;
+}
+
+// Enabled tracks a path has data for, with each point's fraction along
+// the ribbon axis
+function ribbonTracks(path, ranges) {
+    const axis = computeAxisPositions(path);
+    const total = axis[axis.length - 1];
+    const fractions = axis.map(a => (total > 0 ? a / total : 0));
+    return state.ribbonTracks
+        .map(({ key, style }) => {
+            const values = attributeValues(path, key);
+            return values && ranges[key] ? { key, style, fractions, values, range: ranges[key] } : null;
+        })
+        .filter(Boolean);
+}
+
+function ribbonTracksHeight(tracks) {
+    return tracks.reduce((sum, track) => sum + TRACK_HEIGHTS[track.style], 0);
+}
+
+// Track values at increasing fractions of the ribbon's length
+function trackValuesAt(track, fractions) {
+    const at = track.fractions, values = track.values;
+    let i = 0;
+    return fractions.map(f => {
+        while (i < at.length - 2 && at[i + 1] < f) i++;
+        const span = at[i + 1] - at[i];
+        const t = span > 0 ? Math.max(0, Math.min(1, (f - at[i]) / span)) : 0;
+        return values[i] + t * (values[i + 1] - values[i]);
+    });
+}
+
+// Color for a value on the track's shared scale
+function trackColor(track, value) {
+    const t = Math.max(0, Math.min(1, (value - track.range.min) / (track.range.max - track.range.min)));
+    const scaled = t * (TRACK_RAMP.length - 1);
+    const i = Math.min(TRACK_RAMP.length - 2, Math.floor(scaled));
+    const k = scaled - i;
+    const [r, g, b] = TRACK_RAMP[i].map((c, j) => Math.round(c + k * (TRACK_RAMP[i + 1][j] - c)));
+    return `rgb(${r}, ${g}, ${b})`;
+}
+
+function formatTrackValue(value) {
+    return Math.abs(value) >= 100 ? String(Math.round(value)) : String(+value.toFixed(1));
+}
+
+// Columns across the visible part of a ribbon, every step pixels
+function trackColumns(layout, step) {
+    const range = visibleRange(layout);
+    if (!range) return null;
+    const width = ribbonX(layout, range.to) - ribbonX(layout, range.from);
+    return ribbonColumns(layout, range, Math.max(2, Math.ceil(width / step)));
+}
+
+// Colored pieces of the centerline for a centerline track
+function centerlineSegments(layout, track) {
+    const columns = trackColumns(layout, 3);
+    if (!columns) return [];
+    const values = trackValuesAt(track, columns.fractions);
+    return columns.xs.slice(1).map((x, i) => ({
+        x0: columns.xs[i],
+        x1: x,
+        color: trackColor(track, (values[i] + values[i + 1]) / 2)
+    }));
+}
+
+// Draw a row's line and heatmap tracks stacked from the top of ctx, each
+// with its axis or legend
+function drawRibbonTracks(ctx, layout, tracks) {
+    let y = 0;
+    for (const track of tracks) {
+        const height = TRACK_HEIGHTS[track.style];
+        const columns = track.style === 'centerline' ? null : trackColumns(layout, 2);
+        if (columns) {
+            const { xs } = columns;
+            const values = trackValuesAt(track, columns.fractions);
+            if (track.style === 'line') {
+                const top = y + 4, span = height - 8;
+                const yAt = v => top + (1 - (v - track.range.min) / (track.range.max - track.range.min)) * span;
+                ctx.beginPath();
+                ctx.moveTo(xs[0], top + span);
+                xs.forEach((x, i) => ctx.lineTo(x, yAt(values[i])));
+                ctx.lineTo(xs[xs.length - 1], top + span);
+                ctx.closePath();
+                ctx.fillStyle = layout.color;
+                ctx.globalAlpha = 0.2;
+                ctx.fill();
+                ctx.globalAlpha = 1;
+                ctx.beginPath();
+                xs.forEach((x, i) => (i === 0 ? ctx.moveTo(x, yAt(values[i])) : ctx.lineTo(x, yAt(values[i]))));
+                ctx.strokeStyle = layout.color;
+                ctx.lineWidth = 1.5;
+                ctx.stroke();
+            } else {
+                const step = xs[1] - xs[0];
+                xs.forEach((x, i) => {
+                    ctx.fillStyle = trackColor(track, values[i]);
+                    ctx.fillRect(x, y + 3, step + 0.5, height - 6);
+                });
+            }
+        }
+        if (track.style === 'line') drawTrackAxis(ctx, track, y, height, layout.cssWidth);
+        else drawTrackLegend(ctx, track, y, height, layout.cssWidth);
+        y += height;
+    }
+}
+
+// Line chart axis: baseline plus min/max ticks on the left, name on the right
+function drawTrackAxis(ctx, track, y, height, width) {
+    const info = attributeInfo(track.key);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.12)';
+    ctx.fillRect(0, y + 4, width, 1);
+    ctx.fillRect(0, y + height - 4, width, 1);
+    ctx.font = '9px JetBrains Mono, monospace';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.textBaseline = 'top';
+    ctx.fillText(formatTrackValue(track.range.max), 3, y + 6);
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(formatTrackValue(track.range.min), 3, y + height - 5);
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    ctx.fillText(info.unit ? `${info.label} (${info.unit})` : info.label, width - 4, y + 6);
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+}
+
+// Color legend at the right end: name, min, gradient, max
+function drawTrackLegend(ctx, track, y, height, width) {
+    const info = attributeInfo(track.key);
+    const cy = y + height / 2;
+    const maxText = formatTrackValue(track.range.max) + (info.unit ? ` ${info.unit}` : '');
+    const minText = formatTrackValue(track.range.min);
+    ctx.font = '9px JetBrains Mono, monospace';
+    ctx.textBaseline = 'middle';
+
+    const barWidth = 48;
+    let x = width - 4 - ctx.measureText(maxText).width;
+    const left = x - barWidth - 8 - ctx.measureText(minText).width - 8 - ctx.measureText(info.label).width;
+    ctx.fillStyle = 'rgba(13, 13, 21, 0.75)';
+    ctx.fillRect(left - 4, y + 2, width - left, height - 4);
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.75)';
+    ctx.fillText(maxText, x, cy);
+    x -= 4 + barWidth;
+    const gradient = ctx.createLinearGradient(x, 0, x + barWidth, 0);
+    TRACK_RAMP.forEach(([r, g, b], i) => gradient.addColorStop(i / (TRACK_RAMP.length - 1), `rgb(${r}, ${g}, ${b})`));
+    ctx.fillStyle = gradient;
+    ctx.fillRect(x, cy - 3, barWidth, 6);
+    x -= 4 + ctx.measureText(minText).width;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.75)';
+    ctx.fillText(minText, x, cy);
+    ctx.fillText(info.label, left, cy);
+    ctx.textBaseline = 'alphabetic';
+}
+
+// Track menu: one style picker per attribute found on the paths
+function updateTracksMenu() {
+    const keys = availableAttributes();
+    if (keys.length === 0) {
+        elements.ribbonTracksMenu.innerHTML =
+            '<div class="path-meta">No attributes yet: import tracks with elevation, timestamps or sensor data</div>';
+        return;
+    }
+    elements.ribbonTracksMenu.innerHTML = keys.map(key => {
+        const current = (state.ribbonTracks.find(t => t.key === key) || { style: 'off' }).style;
+        const options = Object.entries(TRACK_STYLES).map(([style, label]) =>
+            `<option value="${style}"${style === current ? ' selected' : ''}>${label}</option>`).join('');
+        return `<label class="export-option"><span>${escapeXml(attributeInfo(key).label)}</span>` +
+            `<select class="tile-select" data-key="${escapeXml(key)}">${options}</select></label>`;
+    }).join('');
+    elements.ribbonTracksMenu.querySelectorAll('select').forEach(select => {
+        select.addEventListener('change', () => setRibbonTrack(select.dataset.key, select.value));
+    });
+}
+
+// Show an attribute in a style (or hide it); only one attribute colors
+// the centerline at a time
+async function setRibbonTrack(key, style) {
+    let tracks = state.ribbonTracks.filter(t => t.key !== key);
+    if (style === 'centerline') tracks = tracks.filter(t => t.style !== 'centerline');
+    if (style !== 'off') tracks.push({ key, style });
+    state.ribbonTracks = tracks;
+    scheduleAutosave();
+    updateTracksMenu();
+    if (state.view === 'ribbon') await renderAllRibbons();
+}
+
+// Ribbon image export: rows are re-rendered off-screen at the requested
+// scale so the output resolution does not depend on devicePixelRatio
+const EXPORT_MARGIN = 20;
+const EXPORT_HEADER_HEIGHT = 28;
+const EXPORT_ROW_GAP = 16;
+
+// Vertical placement of each ribbon row in the exported image
+function exportRowLayout() {
+    const rows = [];
+    let y = EXPORT_MARGIN;
+    let width = 0;
+    for (const meta of state.ribbonMeta) {
+        const path = state.paths.find(p => p.id === meta.pathId);
+        if (!path) continue;
+        rows.push({ meta, path, y, imageY: y + EXPORT_HEADER_HEIGHT });
+        y += EXPORT_HEADER_HEIGHT + meta.layout.height + meta.tracksHeight + EXPORT_ROW_GAP;
+        width = Math.max(width, meta.layout.cssWidth);
     }
-    
-    // Reusable canvases for tile compositing and strip extraction
-    const tempCanvas = document.createElement('canvas');
-    const tempSize = tileSize * 3; // 768px to hold the full 3x3 tile grid
-    tempCanvas.width = tempSize;
-    tempCanvas.height = tempSize;
-    const tempCtx = tempCanvas.getContext('2d');
+    return { rows, width: width + EXPORT_MARGIN * 2, height: y - EXPORT_ROW_GAP + EXPORT_MARGIN };
+}
 
-    const stripCanvas = document.createElement('canvas');
-    stripCanvas.width = segmentWidth;
-    stripCanvas.height = ribbonHeight;
-    const stripCtx = stripCanvas.getContext('2d');
+// Ribbon imagery (no decorations) for one row at the given scale
+async function renderExportImagery(row, scale) {
+    const { layout } = row.meta;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(layout.cssWidth * scale);
+    canvas.height = Math.round(layout.height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    await drawRibbonImagery(ctx, row.path, layout);
+    return canvas;
+}
 
-    const offsets = [
-        { dx: -1, dy: -1 }, { dx: 0, dy: -1 }, { dx: 1, dy: -1 },
-        { dx: -1, dy: 0 },  { dx: 0, dy: 0 },  { dx: 1, dy: 0 },
-        { dx: -1, dy: 1 },  { dx: 0, dy: 1 },  { dx: 1, dy: 1 }
-    ];
+// Composite all ribbon rows into a single PNG blob
+async function exportRibbonsPNG(scale) {
+    const { rows, width, height } = exportRowLayout();
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.fillStyle = '#12121c';
+    ctx.fillRect(0, 0, width, height);
 
-    // Draw segments
-    for (let i = 0; i < samplePoints.length; i++) {
-        const point = samplePoints[i];
-        const tileInfo = latLngToTilePixel(point.lat, point.lng, zoom);
+    for (const row of rows) {
+        const { layout } = row.meta;
 
-        tempCtx.clearRect(0, 0, tempSize, tempSize);
+        // Header: color swatch, name and length
+        ctx.fillStyle = row.path.color;
+        ctx.fillRect(EXPORT_MARGIN + 12, row.y + 9, 10, 10);
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '12px Sora, sans-serif';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(row.path.name, EXPORT_MARGIN + 30, row.y + 14);
+        ctx.fillStyle = '#888899';
+        ctx.font = '10px JetBrains Mono, monospace';
+        ctx.textAlign = 'right';
+        ctx.fillText(ribbonHeaderLabel(row.path), EXPORT_MARGIN + layout.cssWidth - 12, row.y + 14);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
 
-        for (const offset of offsets) {
-            const tile = await getTile(tileInfo.tileX + offset.dx, tileInfo.tileY + offset.dy, zoom);
-            if (tile) {
-                const drawX = (offset.dx * tileSize) + (tempSize / 2 - tileInfo.pixelX);
-                const drawY = (offset.dy * tileSize) + (tempSize / 2 - tileInfo.pixelY);
-                tempCtx.drawImage(tile, drawX, drawY);
-            }
-        }
+        const imagery = await renderExportImagery(row, scale);
+        ctx.save();
+        ctx.translate(EXPORT_MARGIN, row.imageY);
+        ctx.drawImage(imagery, 0, 0, layout.cssWidth, layout.height);
+        drawRibbonDecorations(ctx, layout, row.meta.crossings, row.meta.overlaps, row.meta.tracks);
+        drawAnnotationPins(ctx, layout, row.meta.annotations);
+        ctx.translate(0, layout.height);
+        drawRibbonTracks(ctx, layout, row.meta.tracks);
+        ctx.restore();
+    }
 
-        stripCtx.setTransform(1, 0, 0, 1, 0, 0);
-        stripCtx.clearRect(0, 0, segmentWidth, ribbonHeight);
-        stripCtx.translate(segmentWidth / 2, ribbonHeight / 2);
-        stripCtx.rotate(-point.heading + Math.PI / 2);
-        stripCtx.drawImage(tempCanvas, -tempSize / 2, -tempSize / 2);
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('could not encode PNG')), 'image/png');
+    });
+}
 
-        ctx.drawImage(stripCanvas, effectivePadding + i * segmentWidth, 10);
+// SVG elements for a ribbon's shared stretches, centerline, markers and
+// crossings
+function ribbonDecorationsToSvg(layout, crossings, overlaps = [], tracks = []) {
+    const { height, effectivePadding, ribbonWidth, color } = layout;
+    const cy = height / 2;
+    const parts = overlaps.map(overlap => {
+        const { x, width } = overlapSpan(layout, overlap);
+        return `<rect x="${x}" y="10" width="${width}" height="${height - 20}" fill="${overlap.otherColor}" fill-opacity="0.22"/>` +
+            `<rect x="${x}" y="10" width="${width}" height="3" fill="${overlap.otherColor}" fill-opacity="0.9"/>` +
+            `<rect x="${x}" y="${height - 13}" width="${width}" height="3" fill="${overlap.otherColor}" fill-opacity="0.9"/>`;
+    });
+    const centerline = tracks.find(t => t.style === 'centerline');
+    if (centerline) {
+        for (const segment of centerlineSegments(layout, centerline)) {
+            parts.push(`<line x1="${segment.x0}" y1="${cy}" x2="${segment.x1 + 0.5}" y2="${cy}" ` +
+                `stroke="${segment.color}" stroke-width="4" stroke-linecap="butt"/>`);
+        }
+    } else {
+        parts.push(
+            `<line x1="${effectivePadding}" y1="${cy}" x2="${effectivePadding + ribbonWidth}" y2="${cy}" ` +
+            `stroke="${color}" stroke-width="3" stroke-linecap="butt"/>`
+        );
     }
-    
-    // Draw path line
-    ctx.strokeStyle = color;
-    ctx.lineWidth = 3;
-    ctx.shadowColor = color;
-    ctx.shadowBlur = 6;
-    ctx.beginPath();
-    ctx.moveTo(effectivePadding, height / 2);
-    ctx.lineTo(effectivePadding + ribbonWidth, height / 2);
-    ctx.stroke();
-    ctx.shadowBlur = 0;
-    
-    // Distance markers
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
-    ctx.font = '9px JetBrains Mono, monospace';
-    const markerCount = 4;
-    const useRelative = crossingDist != null && !isAnchor;
-    for (let i = 0; i <= markerCount; i++) {
-        const x = effectivePadding + (i / markerCount) * ribbonWidth;
-        const absDist = (i / markerCount) * totalDistance;
-        let label;
-        if (useRelative) {
-            const rel = absDist - crossingDist;
-            const absRel = Math.abs(rel);
-            const sign = rel >= 0 ? '+' : '-';
-            label = absRel >= 1000 ? sign + (absRel/1000).toFixed(1) + 'km' : sign + Math.round(absRel) + 'm';
-        } else {
-            label = absDist >= 1000 ? (absDist/1000).toFixed(1) + 'km' : Math.round(absDist) + 'm';
+
+    for (const marker of ribbonMarkers(layout)) {
+        parts.push(`<rect x="${marker.x}" y="${height - 8}" width="1" height="4" fill="rgba(255,255,255,0.4)"/>`);
+        if (marker.label) {
+            parts.push(`<text x="${marker.x + 3}" y="${height - 3}" fill="rgba(255,255,255,0.4)" ` +
+                `font-family="JetBrains Mono, monospace" font-size="9">${escapeXml(marker.label)}</text>`);
         }
-        ctx.fillRect(x, height - 8, 1, 4);
-        if (i < markerCount) ctx.fillText(label, x + 3, height - 3);
     }
 
-    // Draw crossing markers
     for (const crossing of crossings) {
-        const x = effectivePadding + crossing.distFraction * ribbonWidth;
+        const x = ribbonX(layout, axisFraction(crossing));
+        const sz = 5;
+        parts.push(`<line x1="${x}" y1="10" x2="${x}" y2="${height - 8}" stroke="${crossing.otherColor}" ` +
+            `stroke-width="2" stroke-dasharray="4 3"/>`);
+        parts.push(`<polygon points="${x},${cy - sz} ${x + sz},${cy} ${x},${cy + sz} ${x - sz},${cy}" ` +
+            `fill="${crossing.otherColor}"/>`);
+    }
+    return parts.join('\n');
+}
 
-        // Dashed vertical line in the other path's color
-        ctx.strokeStyle = crossing.otherColor;
-        ctx.lineWidth = 2;
-        ctx.setLineDash([4, 3]);
-        ctx.beginPath();
-        ctx.moveTo(x, 10);
-        ctx.lineTo(x, height - 8);
-        ctx.stroke();
-        ctx.setLineDash([]);
+// Vector export: labels and markers as SVG elements over embedded PNG strips
+async function exportRibbonsSVG(scale) {
+    const { rows, width, height } = exportRowLayout();
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        `<rect width="${width}" height="${height}" fill="#12121c"/>`
+    ];
 
-        // Diamond marker at the centerline
-        const cy = height / 2;
-        const sz = 5;
-        ctx.fillStyle = crossing.otherColor;
-        ctx.beginPath();
-        ctx.moveTo(x, cy - sz);
-        ctx.lineTo(x + sz, cy);
-        ctx.lineTo(x, cy + sz);
-        ctx.lineTo(x - sz, cy);
-        ctx.closePath();
-        ctx.fill();
+    for (const row of rows) {
+        const { layout } = row.meta;
+        const imagery = await renderExportImagery(row, scale);
+        parts.push(`<g transform="translate(${EXPORT_MARGIN}, ${row.y})">`);
+        parts.push(`<rect x="12" y="9" width="10" height="10" rx="2" fill="${row.path.color}"/>`);
+        parts.push(`<text x="30" y="18" fill="#ffffff" font-family="Sora, sans-serif" font-size="12">${escapeXml(row.path.name)}</text>`);
+        parts.push(`<text x="${layout.cssWidth - 12}" y="18" text-anchor="end" fill="#888899" ` +
+            `font-family="JetBrains Mono, monospace" font-size="10">${escapeXml(ribbonHeaderLabel(row.path))}</text>`);
+        parts.push(`<g transform="translate(0, ${EXPORT_HEADER_HEIGHT})">`);
+        parts.push(`<image x="0" y="0" width="${layout.cssWidth}" height="${layout.height}" href="${imagery.toDataURL('image/png')}"/>`);
+        parts.push(ribbonDecorationsToSvg(layout, row.meta.crossings, row.meta.overlaps, row.meta.tracks));
+        parts.push(annotationPinsToSvg(layout, row.meta.annotations));
+        if (row.meta.tracksHeight > 0) {
+            // Tracks are embedded as an image like the imagery
+            const tracks = document.createElement('canvas');
+            tracks.width = Math.round(layout.cssWidth * scale);
+            tracks.height = Math.round(row.meta.tracksHeight * scale);
+            const tracksCtx = tracks.getContext('2d');
+            tracksCtx.scale(scale, scale);
+            drawRibbonTracks(tracksCtx, layout, row.meta.tracks);
+            parts.push(`<image x="0" y="${layout.height}" width="${layout.cssWidth}" height="${row.meta.tracksHeight}" ` +
+                `href="${tracks.toDataURL('image/png')}"/>`);
+        }
+        parts.push('</g>');
+        parts.push('</g>');
     }
 
-    return { padding, ribbonWidth, totalDistance };
+    parts.push('</svg>');
+    return parts.join('\n');
 }
 
-// Ribbon interaction: cursor line + crossing hover
-function handleRibbonMouseMove(e) {
-    const containerRect = elements.ribbonContainer.getBoundingClientRect();
-    const mouseX = e.clientX - containerRect.left;
+// Export the ribbon view in the chosen format
+async function exportRibbonImage(format) {
+    if (state.ribbonMeta.length === 0) {
+        elements.status.textContent = 'No ribbons to export';
+        return;
+    }
+    const scale = parseFloat(elements.ribbonExportScale.value) || 2;
+    const stamp = new Date().toISOString().slice(0, 10);
+    elements.ribbonExportMenu.hidden = true;
 
-    // Show and position cursor line
-    elements.cursorLine.style.display = 'block';
-    elements.cursorLine.style.left = mouseX + 'px';
+    try {
+        if (format === 'svg') {
+            const svg = await exportRibbonsSVG(scale);
+            downloadFile(`time-ribbons-${stamp}.svg`, svg, 'image/svg+xml');
+        } else {
+            const blob = await exportRibbonsPNG(scale);
+            downloadFile(`time-ribbons-${stamp}.png`, blob, 'image/png');
+        }
+        elements.status.textContent = `Exported ribbons as ${format.toUpperCase()}`;
+    } catch (err) {
+        // Tiles served without CORS headers taint the canvas
+        elements.status.textContent = `Ribbon export failed: ${err.message}`;
+    }
+}
 
+// Ribbon interaction: cursor line + crossing hover
+function handleRibbonMouseMove(e) {
     // Find which ribbon the mouse is over
     let hoveredMeta = null;
     for (const meta of state.ribbonMeta) {
@@ -908,22 +6475,7 @@ function handleRibbonMouseMove(e) {
         }
     }
 
-    if (hoveredMeta) {
-        const canvasRect = hoveredMeta.canvas.getBoundingClientRect();
-        const canvasX = e.clientX - canvasRect.left;
-        const fraction = Math.max(0, Math.min(1,
-            (canvasX - hoveredMeta.padding) / hoveredMeta.ribbonWidth));
-        const dist = fraction * hoveredMeta.totalDistance;
-        const label = dist >= 1000
-            ? (dist / 1000).toFixed(2) + ' km'
-            : Math.round(dist) + ' m';
-
-        elements.cursorLabel.style.display = 'block';
-        elements.cursorLabel.style.left = mouseX + 'px';
-        elements.cursorLabel.textContent = label;
-    } else {
-        elements.cursorLabel.style.display = 'none';
-    }
+    moveRibbonCursor(e.clientX, hoveredMeta);
 
     // Check for crossing hover
     let newHoveredKey = null;
@@ -936,9 +6488,9 @@ function handleRibbonMouseMove(e) {
 
         if (canvasY < 0 || canvasY > canvasRect.height) continue;
 
-        for (const crossing of meta.crossings) {
-            if (Math.abs(canvasX - crossing.pixelX) < hitRadius) {
-                newHoveredKey = `${crossing.lat.toFixed(8)},${crossing.lng.toFixed(8)}`;
+        for (const crossing of meta.alignTargets) {
+            if (Math.abs(canvasX - viewX(crossing.pixelX)) < hitRadius) {
+                newHoveredKey = crossingKey(crossing);
                 break;
             }
         }
@@ -951,12 +6503,57 @@ function handleRibbonMouseMove(e) {
     }
 
     // Pointer cursor when hovering near a crossing
-    elements.ribbonRows.style.cursor = newHoveredKey ? 'pointer' : '';
+    elements.ribbonRows.classList.toggle('crossing-hover', !!newHoveredKey);
+}
+
+// Cursor line and distance label at a screen x, mirrored on the map in
+// the split view
+function moveRibbonCursor(clientX, hoveredMeta) {
+    const containerRect = elements.ribbonContainer.getBoundingClientRect();
+    const mouseX = clientX - containerRect.left;
+
+    // Show and position cursor line
+    elements.cursorLine.style.display = 'block';
+    elements.cursorLine.style.left = mouseX + 'px';
+
+    // Normalized ribbons label every row; otherwise only the hovered one
+    const normalized = state.ribbonScaling === 'normalized';
+    if (normalized) updateRibbonReadouts(clientX);
+    if (hoveredMeta && !normalized) {
+        const canvasRect = hoveredMeta.canvas.getBoundingClientRect();
+        const canvasX = contentX(clientX - canvasRect.left);
+        const fraction = Math.max(0, Math.min(1, ribbonFraction(hoveredMeta.layout, canvasX)));
+        const label = formatAxisValue(fraction * hoveredMeta.totalExtent, 2);
+
+        elements.cursorLabel.style.display = 'block';
+        elements.cursorLabel.style.left = mouseX + 'px';
+        elements.cursorLabel.textContent = label;
+    } else {
+        elements.cursorLabel.style.display = 'none';
+    }
+
+    updateMapBrush(clientX);
+}
+
+// Where the cursor falls on each row, as a share of the route and as an
+// absolute distance (or time)
+function updateRibbonReadouts(clientX) {
+    for (const meta of state.ribbonMeta) {
+        const x = clientX - meta.canvas.getBoundingClientRect().left;
+        const fraction = ribbonFraction(meta.layout, contentX(x));
+        meta.readout.hidden = !(fraction >= 0 && fraction <= 1);
+        if (meta.readout.hidden) continue;
+        meta.readout.style.left = x + 'px';
+        meta.readout.textContent =
+            `${Math.round(fraction * 100)}% · ${formatAxisValue(fraction * meta.totalExtent, 2)}`;
+    }
 }
 
 function handleRibbonMouseLeave() {
     elements.cursorLine.style.display = 'none';
     elements.cursorLabel.style.display = 'none';
+    for (const meta of state.ribbonMeta) meta.readout.hidden = true;
+    clearMapBrush();
 
     if (state.hoveredCrossingKey) {
         state.hoveredCrossingKey = null;
@@ -964,6 +6561,87 @@ function handleRibbonMouseLeave() {
     }
 }
 
+// Linked brushing in the split view: the ribbon cursor puts a marker on
+// every path on the map where its row sits under the cursor (so aligned
+// rows mark matching places), and hovering a path on the map moves the
+// ribbon cursor to that spot
+
+// The point of a row's path under a screen x, or null beyond its ends
+function ribbonPointAt(meta, clientX) {
+    const x = contentX(clientX - meta.canvas.getBoundingClientRect().left);
+    const fraction = ribbonFraction(meta.layout, x);
+    if (!(fraction >= 0 && fraction <= 1)) return null;
+    const path = state.paths.find(p => p.id === meta.pathId);
+    if (!path) return null;
+    const [point] = sampleAlongAxis(path, [fraction]);
+    return { fraction, lat: point.lat, lng: point.lng };
+}
+
+function updateMapBrush(clientX) {
+    if (!isSplitView()) return;
+    for (const meta of state.ribbonMeta) {
+        const point = ribbonPointAt(meta, clientX);
+        let marker = state.brushMarkers.get(meta.pathId);
+        if (!point) {
+            if (marker) state.map.removeLayer(marker);
+            continue;
+        }
+        if (!marker) {
+            marker = L.circleMarker([point.lat, point.lng], {
+                radius: 7,
+                color: '#ffffff',
+                weight: 2,
+                fillColor: meta.color,
+                fillOpacity: 1,
+                interactive: false
+            });
+            state.brushMarkers.set(meta.pathId, marker);
+        }
+        marker.setLatLng([point.lat, point.lng]).addTo(state.map);
+    }
+}
+
+function clearMapBrush() {
+    state.brushMarkers.forEach(marker => state.map.removeLayer(marker));
+    state.brushMarkers.clear();
+}
+
+// Fraction along the active axis of the point of a path nearest a location
+function pathFractionAt(path, lat, lng) {
+    return axisFraction(projectOntoPath(path, lat, lng));
+}
+
+// Screen x of a location on a path's ribbon
+function ribbonClientX(meta, path, latlng) {
+    const x = ribbonX(meta.layout, pathFractionAt(path, latlng.lat, latlng.lng));
+    return meta.canvas.getBoundingClientRect().left + viewX(x);
+}
+
+function handlePathHover(path, latlng) {
+    if (!isSplitView()) return;
+    const meta = state.ribbonMeta.find(m => m.pathId === path.id);
+    if (meta) moveRibbonCursor(ribbonClientX(meta, path, latlng), meta);
+}
+
+function handlePathHoverEnd() {
+    if (isSplitView()) handleRibbonMouseLeave();
+}
+
+// Click on a path on the map: scroll its ribbon into view, centered on
+// the clicked spot
+function handlePathClick(path, e) {
+    if (!isSplitView() || !state.ribbonView) return;
+    const meta = state.ribbonMeta.find(m => m.pathId === path.id);
+    if (!meta) return;
+    L.DomEvent.stopPropagation(e);
+    meta.row.scrollIntoView({ block: 'nearest' });
+    const view = state.ribbonView;
+    const x = ribbonX(meta.layout, pathFractionAt(path, e.latlng.lat, e.latlng.lng));
+    view.offset = x * view.scale - view.viewportWidth / 2;
+    applyRibbonView();
+    handlePathHover(path, e.latlng);
+}
+
 function drawCrossingHighlights() {
     const dpr = window.devicePixelRatio || 1;
 
@@ -977,11 +6655,11 @@ function drawCrossingHighlights() {
         ctx.scale(dpr, dpr);
         const h = meta.overlayCanvas.height / dpr;
 
-        for (const crossing of meta.crossings) {
-            const key = `${crossing.lat.toFixed(8)},${crossing.lng.toFixed(8)}`;
+        for (const crossing of meta.alignTargets) {
+            const key = crossingKey(crossing);
             if (key !== state.hoveredCrossingKey) continue;
 
-            const x = crossing.pixelX;
+            const x = viewX(crossing.pixelX);
 
             // Bright glow line
             ctx.strokeStyle = crossing.otherColor;
@@ -1013,10 +6691,54 @@ function drawCrossingHighlights() {
     }
 }
 
-// Click on ribbon to align at crossing, or click elsewhere to reset
+// Ribbon row under a screen y, if any
+function ribbonMetaAt(clientY) {
+    return state.ribbonMeta.find(m => {
+        const rect = m.canvas.getBoundingClientRect();
+        return clientY >= rect.top && clientY <= rect.bottom;
+    });
+}
+
+// Click on ribbon to align at crossing, or click elsewhere to reset.
+// Alt+click picks alignment pairs, Shift+click drops an annotation; with
+// proximity alignment a click on any other ribbon makes it the anchor.
 function handleRibbonClick(e) {
+    // The click that ends a drag-pan is not a selection
+    if (ribbonGesture.dragged) {
+        ribbonGesture.dragged = false;
+        return;
+    }
+    // Clicks in a row header (e.g. on its corridor input) are not ribbon clicks
+    if (e.target.closest('.ribbon-row-header')) return;
     const hitRadius = 10;
 
+    if (e.altKey) {
+        const meta = ribbonMetaAt(e.clientY);
+        if (meta) {
+            const x = contentX(e.clientX - meta.canvas.getBoundingClientRect().left);
+            pickAlignmentPoint(meta.pathId, Math.max(0, Math.min(1, ribbonFraction(meta.layout, x))));
+        }
+        return;
+    }
+
+    if (e.shiftKey) {
+        const meta = ribbonMetaAt(e.clientY);
+        const point = meta && ribbonPointAt(meta, e.clientX);
+        if (point) addAnnotation(point.lat, point.lng);
+        return;
+    }
+
+    // In the split view a click on a ribbon also centers the map there
+    let centered = false;
+    if (isSplitView()) {
+        const meta = ribbonMetaAt(e.clientY);
+        const point = meta && ribbonPointAt(meta, e.clientX);
+        if (point) {
+            state.map.panTo([point.lat, point.lng]);
+            centered = true;
+        }
+    }
+
     for (const meta of state.ribbonMeta) {
         const canvasRect = meta.canvas.getBoundingClientRect();
         const canvasX = e.clientX - canvasRect.left;
@@ -1024,35 +6746,164 @@ function handleRibbonClick(e) {
 
         if (canvasY < 0 || canvasY > canvasRect.height) continue;
 
-        for (const crossing of meta.crossings) {
-            if (Math.abs(canvasX - crossing.pixelX) < hitRadius) {
+        for (const crossing of meta.alignTargets) {
+            if (Math.abs(canvasX - viewX(crossing.pixelX)) < hitRadius) {
                 // Self-crossing: treat as deselect, not alignment
                 if (crossing.otherPathId === meta.pathId) {
                     if (state.alignment) resetAlignment();
                     return;
                 }
-                const key = `${crossing.lat.toFixed(8)},${crossing.lng.toFixed(8)}`;
+                const key = crossingKey(crossing);
                 alignToIntersection(key, meta.pathId);
                 return;
             }
         }
     }
 
-    // Clicked outside any crossing → reset alignment
-    if (state.alignment) {
+    if (alignmentMethod() === 'proximity') {
+        const meta = ribbonMetaAt(e.clientY);
+        if (meta && !(state.alignment && state.alignment.anchorPathId === meta.pathId)) {
+            alignToIntersection(null, meta.pathId);
+            return;
+        }
+    }
+
+    // Clicked outside any crossing (and, split, outside any ribbon) →
+    // reset alignment
+    if (state.alignment && !centered) {
         resetAlignment();
     }
 }
 
-// Align all ribbons to a specific crossing point
+// Wheel zooms (or pans, for sideways scrolling) while over a ribbon;
+// elsewhere in the list it scrolls rows as usual
+function handleRibbonWheel(e) {
+    if (!state.ribbonView || !e.target.closest('.ribbon-canvas-wrapper')) return;
+    e.preventDefault();
+    if (Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+        panRibbonView(e.deltaX);
+    } else {
+        zoomRibbonView(Math.exp(-e.deltaY * 0.002), ribbonPointerX(e));
+    }
+}
+
+// Drag-pan with one pointer, pinch-zoom with two
+const ribbonGesture = { pointers: new Map(), startX: 0, lastX: 0, pinchDistance: 0, dragged: false };
+
+function pinchSpread() {
+    const [a, b] = [...ribbonGesture.pointers.values()];
+    return { distance: Math.hypot(a.x - b.x, a.y - b.y), midX: (a.x + b.x) / 2 };
+}
+
+function handleRibbonPointerDown(e) {
+    if (!state.ribbonView || !e.target.closest('.ribbon-canvas-wrapper')) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    ribbonGesture.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (ribbonGesture.pointers.size === 1) {
+        ribbonGesture.startX = ribbonGesture.lastX = e.clientX;
+        ribbonGesture.dragged = false;
+    } else if (ribbonGesture.pointers.size === 2) {
+        ribbonGesture.pinchDistance = pinchSpread().distance;
+    }
+}
+
+function handleRibbonPointerMove(e) {
+    const pointer = ribbonGesture.pointers.get(e.pointerId);
+    if (!pointer) return;
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+
+    if (ribbonGesture.pointers.size >= 2) {
+        const { distance, midX } = pinchSpread();
+        if (ribbonGesture.pinchDistance > 0) {
+            zoomRibbonView(distance / ribbonGesture.pinchDistance, ribbonPointerX({ clientX: midX }));
+        }
+        ribbonGesture.pinchDistance = distance;
+        ribbonGesture.dragged = true;
+        return;
+    }
+
+    if (!ribbonGesture.dragged) {
+        if (Math.abs(e.clientX - ribbonGesture.startX) < 4) return;
+        ribbonGesture.dragged = true;
+        elements.ribbonRows.setPointerCapture(e.pointerId);
+        elements.ribbonRows.classList.add('panning');
+    }
+    panRibbonView(ribbonGesture.lastX - e.clientX);
+    ribbonGesture.lastX = e.clientX;
+}
+
+function handleRibbonPointerUp(e) {
+    if (!ribbonGesture.pointers.delete(e.pointerId)) return;
+    ribbonGesture.pinchDistance = 0;
+    const remaining = [...ribbonGesture.pointers.values()][0];
+    if (remaining) ribbonGesture.lastX = remaining.x;
+    else elements.ribbonRows.classList.remove('panning');
+}
+
+// Align all ribbons to a specific crossing point (or, with a null key, to
+// the anchor ribbon as a whole). Picked pairs survive while the anchor
+// stays the same.
 async function alignToIntersection(crossingKey, anchorPathId) {
-    state.alignment = { crossingKey, anchorPathId };
+    recordHistory('alignment');
+    const keepPairs = state.alignment && state.alignment.anchorPathId === anchorPathId;
+    state.alignment = { crossingKey, anchorPathId, pairs: keepPairs ? state.alignment.pairs || [] : [] };
+    state.pendingAlignPoint = null;
+    state.ribbonView = null;
+    scheduleAutosave();
+    await renderAllRibbons();
+}
+
+// Alt+click picks a point on one ribbon; Alt+clicking a point on another
+// ribbon pairs the two for warped alignment. One point of each pair must
+// lie on the anchor ribbon; without an alignment the first ribbon becomes
+// the anchor.
+async function pickAlignmentPoint(pathId, fraction) {
+    const pending = state.pendingAlignPoint;
+    if (!pending || pending.pathId === pathId) {
+        state.pendingAlignPoint = { pathId, fraction };
+        elements.status.textContent = 'Alt+click the matching point on another ribbon';
+        drawRibbonOverlays();
+        return;
+    }
+    state.pendingAlignPoint = null;
+
+    const anchorPathId = state.alignment ? state.alignment.anchorPathId : pending.pathId;
+    let pair;
+    if (pending.pathId === anchorPathId) {
+        pair = { pathId, fraction, anchorFraction: pending.fraction };
+    } else if (pathId === anchorPathId) {
+        pair = { pathId: pending.pathId, fraction: pending.fraction, anchorFraction: fraction };
+    } else {
+        elements.status.textContent = 'One point of each pair must be on the anchor ribbon';
+        drawRibbonOverlays();
+        return;
+    }
+
+    recordHistory('alignment pair');
+    state.alignment = {
+        crossingKey: state.alignment ? state.alignment.crossingKey : null,
+        anchorPathId,
+        pairs: [...((state.alignment && state.alignment.pairs) || []), pair]
+    };
+    // Pairs only take effect through a warp
+    if (state.alignMethod === 'shift') {
+        state.alignMethod = 'crossings';
+        elements.alignMethodSelect.value = 'crossings';
+    }
+    state.ribbonView = null;
+    scheduleAutosave();
+    elements.status.textContent = 'Alignment pair added';
     await renderAllRibbons();
 }
 
 // Reset alignment so all ribbons start from left
 async function resetAlignment() {
+    recordHistory('alignment reset');
     state.alignment = null;
+    state.pendingAlignPoint = null;
+    state.ribbonView = null;
+    scheduleAutosave();
     await renderAllRibbons();
 }
 
@@ -1071,10 +6922,24 @@ function bindEvents() {
     canvas.addEventListener('touchcancel', stopDrawing, { passive: false });
     
     elements.unrollBtn.addEventListener('click', showRibbon);
-    elements.clearBtn.addEventListener('click', clearAllPaths);
+    elements.clearBtn.addEventListener('click', () => clearAllPaths());
+    elements.undoBtn.addEventListener('click', undo);
+    elements.redoBtn.addEventListener('click', redo);
     elements.backBtn.addEventListener('click', showMap);
 
     elements.tileSelect.addEventListener('change', (e) => changeTileProvider(e.target.value));
+    elements.alignModeInputs.forEach(input => {
+        input.addEventListener('change', (e) => setAlignMode(e.target.value));
+    });
+    elements.rendererInputs.forEach(input => {
+        input.addEventListener('change', (e) => setRibbonRenderer(e.target.value));
+    });
+    elements.scalingInputs.forEach(input => {
+        input.addEventListener('change', (e) => setRibbonScaling(e.target.value));
+    });
+    elements.alignMethodSelect.addEventListener('change', (e) => setAlignMethod(e.target.value));
+    elements.corridorInput.addEventListener('change', (e) => setCorridorWidth(e.target.value));
+    elements.overlapInput.addEventListener('change', (e) => setOverlapTolerance(e.target.value));
 
     if (elements.drawBtn) {
         elements.drawBtn.addEventListener('click', () => setDrawMode(!state.drawMode));
@@ -1083,13 +6948,196 @@ function bindEvents() {
         elements.locateBtn.addEventListener('click', locateUser);
     }
 
+    elements.importBtn.addEventListener('click', () => elements.importInput.click());
+    elements.importInput.addEventListener('change', async (e) => {
+        await importFiles([...e.target.files]);
+        e.target.value = '';
+    });
+
+    elements.exportBtn.addEventListener('click', () => {
+        elements.exportMenu.hidden = !elements.exportMenu.hidden;
+    });
+    elements.exportMenu.querySelectorAll('[data-format]').forEach(btn => {
+        btn.addEventListener('click', () => exportPaths(btn.dataset.format));
+    });
+
+    elements.groupAddBtn.addEventListener('click', addPathGroup);
+    elements.statsBtn.addEventListener('click', () => setStatsPanel(elements.statsPanel.hidden));
+    elements.statsCloseBtn.addEventListener('click', () => setStatsPanel(false));
+    elements.statsCsvBtn.addEventListener('click', exportStatsCsv);
+    elements.statsTurnInput.addEventListener('change', (e) => setTurnThreshold(e.target.value));
+    // Drops between items or below the list take the path out of its group
+    elements.pathList.addEventListener('dragover', (e) => {
+        if (draggedPathId != null) e.preventDefault();
+    });
+    elements.pathList.addEventListener('drop', (e) => {
+        e.preventDefault();
+        if (draggedPathId != null) movePathToGroup(draggedPathId, null);
+    });
+    elements.annotationBtn.addEventListener('click', () => {
+        elements.annotationMenu.hidden = !elements.annotationMenu.hidden;
+        if (elements.annotationMenu.hidden) setAnnotationMode(false);
+        else updateAnnotationList();
+    });
+    elements.annotationPlaceBtn.addEventListener('click', () => setAnnotationMode(!state.annotationMode));
+    elements.annotationDistanceInput.addEventListener('change', (e) => setAnnotationDistance(e.target.value));
+    elements.sessionBtn.addEventListener('click', () => {
+        elements.sessionMenu.hidden = !elements.sessionMenu.hidden;
+        if (!elements.sessionMenu.hidden) updateSessionList();
+    });
+    elements.sessionSaveBtn.addEventListener('click', () => saveSession(elements.sessionName.value));
+    elements.sessionName.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') saveSession(elements.sessionName.value);
+    });
+
+    state.map.on('moveend', scheduleAutosave);
+
+    elements.shareBtn.addEventListener('click', shareScene);
+    elements.ribbonShareBtn.addEventListener('click', shareScene);
+    elements.splitBtn.addEventListener('click', () => setSplitView(!state.splitView));
+    window.addEventListener('hashchange', loadSceneFromHash);
+
+    elements.ribbonTracksBtn.addEventListener('click', () => {
+        if (elements.ribbonTracksMenu.hidden) updateTracksMenu();
+        elements.ribbonTracksMenu.hidden = !elements.ribbonTracksMenu.hidden;
+    });
+    elements.ribbonExportBtn.addEventListener('click', () => {
+        elements.ribbonExportMenu.hidden = !elements.ribbonExportMenu.hidden;
+    });
+    elements.ribbonExportMenu.querySelectorAll('[data-format]').forEach(btn => {
+        btn.addEventListener('click', () => exportRibbonImage(btn.dataset.format));
+    });
+
+    elements.drawToolInputs.forEach(input => {
+        input.addEventListener('change', (e) => setDrawTool(e.target.value));
+    });
+    elements.routeWaypointsInput.addEventListener('change', (e) => {
+        state.routeWaypoints = e.target.checked;
+    });
+    state.map.on('click', handleWaypointClick);
+    state.map.on('click', handleAnnotationClick);
+    state.map.on('dblclick', () => {
+        if (state.drawMode && state.drawTool === 'waypoint') finishWaypoints();
+    });
+    state.map.on('mousemove', (e) => {
+        if (!state.drawMode || state.drawTool !== 'waypoint' || state.waypoints.length === 0) return;
+        state.waypointCursor = [e.latlng.lat, e.latlng.lng];
+        drawWaypointPreview();
+    });
+    state.map.on('move zoom', () => {
+        if (state.waypoints.length > 0) drawWaypointPreview();
+    });
+
+    elements.snapBtn.addEventListener('click', () => setSnapMode(!state.snapToRoads));
+    elements.routingBtn.addEventListener('click', () => {
+        elements.routingMenu.hidden = !elements.routingMenu.hidden;
+    });
+    elements.tileBtn.addEventListener('click', () => {
+        elements.tileMenu.hidden = !elements.tileMenu.hidden;
+        if (!elements.tileMenu.hidden) updateTileStats();
+    });
+    elements.tilePrefetchBtn.addEventListener('click', prefetchTiles);
+    elements.tileClearBtn.addEventListener('click', clearTileCache);
+    elements.tileSourceAddBtn.addEventListener('click', addXyzSource);
+    elements.tileMbtilesInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        elements.status.textContent = `Opening ${file.name}...`;
+        await addTileSource({ kind: 'mbtiles', name: file.name.replace(/\.mbtiles$/i, ''), file });
+    });
+    elements.tileFolderInput.addEventListener('change', async (e) => {
+        const files = [...e.target.files];
+        e.target.value = '';
+        if (files.length === 0) return;
+        const folder = files[0].webkitRelativePath.split('/')[0] || 'Local tiles';
+        await addTileSource({
+            kind: 'folder',
+            name: folder,
+            files: files.map(file => ({ path: file.webkitRelativePath || file.name, blob: file }))
+        });
+    });
+    elements.routingBackend.addEventListener('change', updateRoutingSettings);
+    elements.routingUrl.addEventListener('change', updateRoutingSettings);
+    elements.routingProfile.addEventListener('change', updateRoutingSettings);
+    elements.routingNetworkInput.addEventListener('change', async (e) => {
+        if (e.target.files[0]) await loadRoadNetwork(e.target.files[0]);
+        e.target.value = '';
+    });
+
+    elements.editSplitBtn.addEventListener('click', splitPathAtVertex);
+    elements.editJoinSelect.addEventListener('change', (e) => {
+        if (e.target.value) joinPaths(Number(e.target.value));
+    });
+    elements.editUndoBtn.addEventListener('click', undo);
+    elements.editDoneBtn.addEventListener('click', stopEditing);
+    document.addEventListener('keydown', (e) => {
+        if (e.target instanceof Element && e.target.matches('input[type="text"], input[type="number"], textarea')) return;
+        if (e.key === 'Escape' && state.editPathId != null) stopEditing();
+        if (state.drawMode && state.drawTool === 'waypoint') {
+            if (e.key === 'Backspace') {
+                e.preventDefault();
+                removeLastWaypoint();
+                return;
+            }
+            if (e.key === 'Enter') {
+                finishWaypoints();
+                return;
+            }
+            if (e.key === 'Escape') cancelWaypoints();
+        }
+        if (!(e.ctrlKey || e.metaKey)) return;
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redo();
+        }
+    });
+
+    // Drag-and-drop import onto the map view
+    let dragDepth = 0;
+    elements.mapContainer.addEventListener('dragenter', (e) => {
+        e.preventDefault();
+        dragDepth++;
+        elements.dropOverlay.classList.add('visible');
+    });
+    elements.mapContainer.addEventListener('dragover', (e) => e.preventDefault());
+    elements.mapContainer.addEventListener('dragleave', () => {
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) elements.dropOverlay.classList.remove('visible');
+    });
+    elements.mapContainer.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dragDepth = 0;
+        elements.dropOverlay.classList.remove('visible');
+        if (e.dataTransfer.files.length > 0) importFiles([...e.dataTransfer.files]);
+    });
+
     elements.ribbonRows.addEventListener('mousemove', handleRibbonMouseMove);
     elements.ribbonRows.addEventListener('mouseleave', handleRibbonMouseLeave);
     elements.ribbonRows.addEventListener('click', handleRibbonClick);
+    elements.ribbonRows.addEventListener('wheel', handleRibbonWheel, { passive: false });
+    elements.ribbonRows.addEventListener('pointerdown', handleRibbonPointerDown);
+    elements.ribbonRows.addEventListener('pointermove', handleRibbonPointerMove);
+    elements.ribbonRows.addEventListener('pointerup', handleRibbonPointerUp);
+    elements.ribbonRows.addEventListener('pointercancel', handleRibbonPointerUp);
+    elements.ribbonMinimap.addEventListener('pointerdown', (e) => {
+        elements.ribbonMinimap.setPointerCapture(e.pointerId);
+        moveRibbonViewToMinimap(e.clientX);
+    });
+    elements.ribbonMinimap.addEventListener('pointermove', (e) => {
+        if (elements.ribbonMinimap.hasPointerCapture(e.pointerId)) moveRibbonViewToMinimap(e.clientX);
+    });
 
+    let resizeTimer = null;
     window.addEventListener('resize', () => {
         resizeCanvas();
-        if (state.view === 'ribbon') renderAllRibbons();
+        if (state.view !== 'ribbon') return;
+        clearTimeout(resizeTimer);
+        resizeTimer = setTimeout(renderAllRibbons, 150);
     });
 }
 
@@ -1099,4 +7147,12 @@ document.addEventListener('DOMContentLoaded', () => {
     initMap();
     resizeCanvas();
     bindEvents();
+    syncRoutingForm();
+    updateHistoryButtons();
+    loadTileProviders().then(loadSceneFromHash).then(async found => {
+        // A shared link keeps its undo entry back to the previous workspace
+        if (found) return;
+        await restoreAutosave();
+        clearHistory();
+    });
 });